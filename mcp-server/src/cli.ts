@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+
+import { formatBaselineHuman, formatFixHuman, formatLintHuman } from './formatters/human.js';
+import { renderReport, ReportFormat, writeReport } from './formatters/report.js';
+import { baseline, BaselineInput } from './tools/baseline.js';
+import { fix, FixInput } from './tools/fix.js';
+import { lint, LintInput, LintResult } from './tools/lint.js';
+
+type OutputFormat = 'human' | ReportFormat;
+
+// Lowest severity that fails the run; 'none' always exits 0 (unless the run itself fails)
+type FailOn = 'error' | 'warning' | 'none';
+
+interface OutputOptions {
+  format: OutputFormat;
+  outputFile?: string;
+  failOn: FailOn;
+  maxWarnings?: number;
+}
+
+// Exit codes: issues over the threshold, and bad usage or a failed run
+const EXIT_ISSUES = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: sca <lint|fix|baseline> [path] [options]
+
+Lint or fix path (default: the current directory) with the same runners, rule
+classification and output as the sca-mcp server, or record its current issues in
+.sca-baseline.json.
+
+Options:
+  --language <lang>        typescript, python, markdown or auto (default: auto)
+  --config-mode <mode>     ESLint config: project, bundled or merged
+  --since <ref>            Only changed files, compared against a git ref
+  --staged                 Only files staged in the index
+  --changed-lines-only     With --since/--staged, only issues on changed lines
+  --rule <glob>            Only these rules (repeatable, e.g. 'sonarjs/*')
+  --exclude-rule <glob>    Skip these rules (repeatable)
+  --min-severity <level>   error or warning
+  --only-fixable           Only issues a linter can fix
+  --only-claude-fixable    Only issues that need a refactor
+  --max-issues <n>         Cap the issues listed; totals still count all of them
+  --no-cache               Ignore the results cache
+  --baseline               Only issues not recorded in .sca-baseline.json
+  --prune                  baseline: drop fixed issues without adding new ones
+  --dry-run                fix: show the diffs without writing them
+  --verify                 fix: type-check afterwards and undo fixes that add errors
+  --format <format>        human, json, sarif, junit or checkstyle (default: human)
+  --output-file <file>     Write the report to a file instead of stdout
+  --fail-on <level>        Exit ${EXIT_ISSUES} on issues of this severity or worse:
+                           error, warning or none (default: error)
+  --max-warnings <n>       Also exit ${EXIT_ISSUES} when there are more warnings than this
+  -h, --help               Show this help
+
+After fixing, \`sca fix\` lints again and reports (and exits on) what is left.
+`;
+
+const OPTIONS = {
+  language: { type: 'string' },
+  'config-mode': { type: 'string' },
+  since: { type: 'string' },
+  staged: { type: 'boolean' },
+  'changed-lines-only': { type: 'boolean' },
+  rule: { type: 'string', multiple: true },
+  'exclude-rule': { type: 'string', multiple: true },
+  'min-severity': { type: 'string' },
+  'only-fixable': { type: 'boolean' },
+  'only-claude-fixable': { type: 'boolean' },
+  'max-issues': { type: 'string' },
+  'no-cache': { type: 'boolean' },
+  baseline: { type: 'boolean' },
+  prune: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  verify: { type: 'boolean' },
+  format: { type: 'string' },
+  'output-file': { type: 'string' },
+  'fail-on': { type: 'string' },
+  'max-warnings': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+} as const;
+
+type ParsedOptions = ReturnType<typeof parseArgs<{ options: typeof OPTIONS }>>['values'];
+
+function oneOf<T extends string>(
+  name: string,
+  value: string | undefined,
+  allowed: T[]
+): T | undefined {
+  if (value !== undefined && !allowed.includes(value as T)) {
+    throw new Error(`--${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value as T | undefined;
+}
+
+function toCount(name: string, value: string | undefined): number | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`--${name} must be a non-negative integer`);
+  }
+  return n;
+}
+
+function toLintInput(path: string, values: ParsedOptions): LintInput {
+  return {
+    path,
+    language: oneOf('language', values.language, ['typescript', 'python', 'markdown', 'auto']),
+    configMode: oneOf('config-mode', values['config-mode'], ['project', 'bundled', 'merged']),
+    since: values.since,
+    staged: values.staged,
+    changedLinesOnly: values['changed-lines-only'],
+    rules: values.rule,
+    excludeRules: values['exclude-rule'],
+    minSeverity: oneOf('min-severity', values['min-severity'], ['error', 'warning']),
+    onlyFixable: values['only-fixable'],
+    onlyClaudeFixable: values['only-claude-fixable'],
+    maxIssues: toCount('max-issues', values['max-issues']),
+    noCache: values['no-cache'],
+    baseline: values.baseline,
+  };
+}
+
+function toOutputOptions(values: ParsedOptions): OutputOptions {
+  return {
+    format:
+      oneOf('format', values.format, ['human', 'json', 'sarif', 'junit', 'checkstyle']) ?? 'human',
+    outputFile: values['output-file'],
+    failOn: oneOf('fail-on', values['fail-on'], ['error', 'warning', 'none']) ?? 'error',
+    maxWarnings: toCount('max-warnings', values['max-warnings']),
+  };
+}
+
+function getExitCode(summary: LintResult['summary'], options: OutputOptions): number {
+  const { failOn, maxWarnings } = options;
+  if (failOn !== 'none' && summary.errors > 0) {
+    return EXIT_ISSUES;
+  }
+  if (failOn === 'warning' && summary.warnings > 0) {
+    return EXIT_ISSUES;
+  }
+  if (maxWarnings !== undefined && summary.warnings > maxWarnings) {
+    return EXIT_ISSUES;
+  }
+  return 0;
+}
+
+async function output(report: string, options: OutputOptions): Promise<void> {
+  if (options.outputFile) {
+    const file = await writeReport(options.outputFile, report);
+    console.error(`Report written to ${file}`);
+  } else {
+    process.stdout.write(report);
+  }
+}
+
+async function runLint(input: LintInput, options: OutputOptions): Promise<number> {
+  const result = await lint(input);
+  const report =
+    options.format === 'human'
+      ? formatLintHuman(result)
+      : await renderReport(input.path, result, options.format);
+
+  await output(report, options);
+  return getExitCode(result.summary, options);
+}
+
+async function runFix(input: LintInput & FixInput, options: OutputOptions): Promise<number> {
+  const fixed = await fix(input);
+  // What's left after fixing decides the exit code (everything, on a dry run)
+  const remaining = await lint(input);
+
+  if (options.format === 'human') {
+    await output(`${formatFixHuman(fixed)}\n${formatLintHuman(remaining)}`, options);
+  } else if (options.format === 'json') {
+    await output(`${JSON.stringify({ fix: fixed, lint: remaining }, null, 2)}\n`, options);
+  } else {
+    await output(await renderReport(input.path, remaining, options.format), options);
+  }
+  return getExitCode(remaining.summary, options);
+}
+
+async function runBaseline(input: BaselineInput, options: OutputOptions): Promise<number> {
+  const result = await baseline(input);
+  const report =
+    options.format === 'json'
+      ? `${JSON.stringify(result, null, 2)}\n`
+      : formatBaselineHuman(result);
+
+  await output(report, options);
+  return 0;
+}
+
+async function main(args: string[]): Promise<number> {
+  const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  const [command, path = '.', ...rest] = positionals;
+
+  if (values.help || command === undefined) {
+    process.stdout.write(USAGE);
+    return values.help ? 0 : EXIT_ERROR;
+  }
+  if (rest.length > 0) {
+    throw new Error(`Unexpected argument: ${rest[0]}`);
+  }
+
+  const input = toLintInput(path, values);
+  const options = toOutputOptions(values);
+
+  switch (command) {
+    case 'lint':
+      return runLint(input, options);
+    case 'fix':
+      return runFix({ ...input, dryRun: values['dry-run'], verify: values.verify }, options);
+    case 'baseline':
+      return runBaseline({ ...input, prune: values.prune }, options);
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error: unknown) => {
+    console.error(`sca: ${error instanceof Error ? error.message : String(error)}`);
+    console.error('Run `sca --help` for usage.');
+    process.exitCode = EXIT_ERROR;
+  });
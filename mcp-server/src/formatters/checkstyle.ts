@@ -0,0 +1,24 @@
+import { groupByFile, LintResult } from '../tools/lint.js';
+
+import { escapeXml } from './xml.js';
+
+/**
+ * Render a lint result as Checkstyle XML, one <file> per file with issues.
+ */
+export function formatCheckstyle(result: LintResult): string {
+  const lines = ['<?xml version="1.0" encoding="utf-8"?>', '<checkstyle version="4.3">'];
+
+  for (const [file, issues] of groupByFile(result.issues)) {
+    lines.push(`  <file name="${escapeXml(file)}">`);
+    for (const issue of issues) {
+      lines.push(
+        `    <error line="${issue.line}" column="${issue.column}" severity="${issue.severity}"` +
+          ` message="${escapeXml(issue.message)}" source="${escapeXml(issue.rule)}" />`
+      );
+    }
+    lines.push('  </file>');
+  }
+
+  lines.push('</checkstyle>', '');
+  return lines.join('\n');
+}
@@ -0,0 +1,102 @@
+import { relative } from 'path';
+
+import { BaselineResult } from '../tools/baseline.js';
+import { FixResult } from '../tools/fix.js';
+import { groupByFile, LintResult } from '../tools/lint.js';
+
+function count(n: number, noun: string): string {
+  return `${n} ${noun}${n === 1 ? '' : 's'}`;
+}
+
+function displayPath(file: string): string {
+  const relativePath = relative(process.cwd(), file);
+  return relativePath && !relativePath.startsWith('..') ? relativePath : file;
+}
+
+function formatSummary(summary: LintResult['summary']): string[] {
+  const baselined = summary.baselined
+    ? [`  ${summary.baselined} more already in the baseline`]
+    : [];
+  if (summary.total === 0) {
+    return [summary.baselined ? 'No new problems found.' : 'No problems found.', ...baselined];
+  }
+
+  const lines = [
+    `${count(summary.total, 'problem')} (${count(summary.errors, 'error')}, ${count(summary.warnings, 'warning')})`,
+    `  ${summary.fixable} fixable with \`sca fix\`, ${summary.claudeFixable} need a refactor, ${summary.manualOnly} need a human decision`,
+  ];
+  if (summary.truncated) {
+    lines.push(`  Showing the first ${summary.returned}; raise --max-issues to see the rest`);
+  }
+  return [...lines, ...baselined];
+}
+
+/**
+ * Render a lint result for the terminal: issues grouped by file, then totals.
+ */
+export function formatLintHuman(result: LintResult): string {
+  const lines: string[] = [];
+
+  for (const [file, issues] of groupByFile(result.issues)) {
+    lines.push(displayPath(file));
+    for (const issue of issues) {
+      const location = `${issue.line}:${issue.column}`.padEnd(8);
+      lines.push(`  ${location}${issue.severity.padEnd(9)}${issue.message}  ${issue.rule}`);
+    }
+    lines.push('');
+  }
+
+  lines.push(...formatSummary(result.summary), '');
+  return lines.join('\n');
+}
+
+function formatVerification(verification: FixResult['verification']): string[] {
+  if (!verification) {
+    return [];
+  }
+  const checkers = verification.checkers.join(', ') || 'no type checker available';
+  if (verification.rolledBack.length === 0) {
+    return [`Verified (${checkers}): no fixes introduced errors`, ''];
+  }
+
+  const lines = [
+    `Rolled back ${count(verification.rolledBack.length, 'file')} whose fixes introduced errors (${checkers})`,
+  ];
+  for (const { file, errors } of verification.rolledBack) {
+    lines.push(`  ${displayPath(file)}`, ...errors.map((error) => `    ${error}`));
+  }
+  return [...lines, ''];
+}
+
+/**
+ * Render a fix result for the terminal: what each fixer changed, the diffs of a
+ * dry run, and what verification rolled back.
+ */
+export function formatFixHuman(result: FixResult): string {
+  // Most-fixed rules first
+  const rules = Object.entries(result.byRule)
+    .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+    .map(([rule, fixed]) => `${rule} ${fixed}`);
+
+  const verb = result.diffs ? 'Would fix' : 'Fixed';
+  const lines = [
+    `${verb} ${count(result.fixed.total, 'issue')} in ${count(result.files.length, 'file')}` +
+      (rules.length > 0 ? ` (${rules.join(', ')})` : ''),
+    ...result.files.map((file) => `  ${displayPath(file)}`),
+    '',
+  ];
+
+  for (const { diff } of result.diffs ?? []) {
+    lines.push(diff.trimEnd(), '');
+  }
+  lines.push(...formatVerification(result.verification));
+  return lines.join('\n');
+}
+
+/**
+ * Render a baseline update for the terminal.
+ */
+export function formatBaselineHuman(result: BaselineResult): string {
+  const { baselineFile, total, added, removed } = result;
+  return `${displayPath(baselineFile)}: ${count(total, 'issue')} (${added} added, ${removed} removed)\n`;
+}
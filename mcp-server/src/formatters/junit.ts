@@ -0,0 +1,48 @@
+import { groupByFile, LintIssue, LintResult } from '../tools/lint.js';
+
+import { escapeXml } from './xml.js';
+
+function formatTestCase(file: string, issue: LintIssue): string[] {
+  const name = escapeXml(`${issue.rule} (${issue.line}:${issue.column})`);
+  const message = escapeXml(issue.message);
+  const location = escapeXml(`${file}:${issue.line}:${issue.column}`);
+
+  return [
+    `    <testcase classname="${escapeXml(file)}" name="${name}">`,
+    `      <failure type="${escapeXml(issue.rule)}" message="${message}">` +
+      `${issue.severity}: ${message} at ${location}</failure>`,
+    '    </testcase>',
+  ];
+}
+
+/**
+ * Render a lint result as JUnit XML: a test suite per file with issues and a
+ * failing test case per issue. A clean run is a single passing test case.
+ */
+export function formatJunit(result: LintResult): string {
+  const total = result.issues.length;
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<testsuites name="sca" tests="${Math.max(total, 1)}" failures="${total}">`,
+  ];
+
+  const byFile = groupByFile(result.issues);
+  for (const [file, issues] of byFile) {
+    lines.push(
+      `  <testsuite name="${escapeXml(file)}" tests="${issues.length}" failures="${issues.length}">`,
+      ...issues.flatMap((issue) => formatTestCase(file, issue)),
+      '  </testsuite>'
+    );
+  }
+
+  if (byFile.size === 0) {
+    lines.push(
+      '  <testsuite name="sca" tests="1" failures="0">',
+      '    <testcase classname="sca" name="lint" />',
+      '  </testsuite>'
+    );
+  }
+
+  lines.push('</testsuites>', '');
+  return lines.join('\n');
+}
@@ -0,0 +1,109 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+
+import { getEslintFileConfig } from '../runners/eslint.js';
+import { getMarkdownlintRuleUrl } from '../runners/markdownlint.js';
+import { LintResult } from '../tools/lint.js';
+
+import { formatCheckstyle } from './checkstyle.js';
+import { formatJunit } from './junit.js';
+import { formatSarif, RuleMetadata } from './sarif.js';
+
+export type ReportFormat = 'json' | 'sarif' | 'junit' | 'checkstyle';
+
+export interface ReportOptions {
+  format?: ReportFormat;
+  // Write the rendered report to this file instead of returning it
+  outputFile?: string;
+}
+
+export interface FormattedReport {
+  format: ReportFormat;
+  languages: LintResult['languages'];
+  summary: LintResult['summary'];
+  // The rendered report, when it wasn't written to outputFile
+  report?: string;
+  outputFile?: string;
+}
+
+async function getRuleMetadata(
+  path: string,
+  result: LintResult
+): Promise<Map<string, RuleMetadata>> {
+  const rules = new Map<string, RuleMetadata>();
+  const ruleIds = new Set(result.issues.map((issue) => issue.rule));
+
+  // ESLint knows its rules' docs; the other linters' rules are identified by id alone
+  if (result.eslintConfig) {
+    const config = await getEslintFileConfig(path, 'src/index.ts', result.eslintConfig);
+    for (const rule of ruleIds) {
+      const meta = config.getRuleMeta(rule);
+      if (meta) {
+        rules.set(rule, { description: meta.docs?.description, url: meta.docs?.url });
+      }
+    }
+  }
+
+  for (const rule of ruleIds) {
+    if (/^MD\d{3}$/.test(rule)) {
+      rules.set(rule, { url: getMarkdownlintRuleUrl(rule) });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Render result in the given format.
+ */
+export async function renderReport(
+  path: string,
+  result: LintResult,
+  format: ReportFormat
+): Promise<string> {
+  switch (format) {
+    case 'sarif':
+      return formatSarif(result, await getRuleMetadata(path, result));
+    case 'junit':
+      return formatJunit(result);
+    case 'checkstyle':
+      return formatCheckstyle(result);
+    default:
+      return `${JSON.stringify(result, null, 2)}\n`;
+  }
+}
+
+/**
+ * Write a rendered report, creating its directory. Returns the absolute path.
+ */
+export async function writeReport(outputFile: string, report: string): Promise<string> {
+  const file = resolve(outputFile);
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, report);
+  return file;
+}
+
+/**
+ * Apply the `format`/`outputFile` options to a lint result. Plain JSON without an
+ * output file is the result itself; anything else is rendered and returned as
+ * `report`, or written to outputFile.
+ */
+export async function formatLintResult(
+  path: string,
+  result: LintResult,
+  options: ReportOptions
+): Promise<LintResult | FormattedReport> {
+  const { format = 'json', outputFile } = options;
+  if (format === 'json' && !outputFile) {
+    return result;
+  }
+
+  const report = await renderReport(path, result, format);
+  const { languages, summary } = result;
+
+  if (!outputFile) {
+    return { format, languages, summary, report };
+  }
+
+  return { format, languages, summary, outputFile: await writeReport(outputFile, report) };
+}
@@ -0,0 +1,118 @@
+import { isAbsolute, relative, sep } from 'path';
+import { pathToFileURL } from 'url';
+
+import { LintIssue, LintResult } from '../tools/lint.js';
+
+export interface RuleMetadata {
+  description?: string;
+  url?: string;
+}
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+function toArtifactUri(file: string): string {
+  // Relative to the working directory (normally the repository root in CI) when inside it
+  const relativePath = relative(process.cwd(), file);
+  if (relativePath.startsWith('..') || isAbsolute(relativePath)) {
+    return pathToFileURL(file).href;
+  }
+  return relativePath.split(sep).join('/');
+}
+
+function getBucket(issue: LintIssue): string {
+  if (issue.fixable) {
+    return 'auto';
+  }
+  return issue.claudeFixable ? 'claude' : 'manual';
+}
+
+function toRule(id: string, issue: LintIssue, metadata?: RuleMetadata): object {
+  return {
+    id,
+    shortDescription: metadata?.description ? { text: metadata.description } : undefined,
+    helpUri: metadata?.url,
+    properties: { fixability: getBucket(issue) },
+  };
+}
+
+function toFixes(issue: LintIssue, artifactLocation: object): object[] | undefined {
+  const description = { text: `Fix ${issue.rule}` };
+
+  if (issue.fix) {
+    const [start, end] = issue.fix.range;
+    const replacement = {
+      deletedRegion: { charOffset: start, charLength: end - start },
+      insertedContent: { text: issue.fix.text },
+    };
+    return [{ description, artifactChanges: [{ artifactLocation, replacements: [replacement] }] }];
+  }
+
+  if (issue.replacement !== undefined) {
+    const replacement = {
+      deletedRegion: { startLine: issue.line, endLine: issue.endLine ?? issue.line },
+      insertedContent: { text: issue.replacement },
+    };
+    return [{ description, artifactChanges: [{ artifactLocation, replacements: [replacement] }] }];
+  }
+
+  return undefined;
+}
+
+function toResult(issue: LintIssue, ruleIndex: number): object {
+  const artifactLocation = { uri: toArtifactUri(issue.file) };
+
+  return {
+    ruleId: issue.rule,
+    ruleIndex,
+    level: issue.severity,
+    message: { text: issue.message },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation,
+          region: { startLine: issue.line, startColumn: issue.column, endLine: issue.endLine },
+        },
+      },
+    ],
+    fixes: toFixes(issue, artifactLocation),
+    properties: { fixability: getBucket(issue) },
+  };
+}
+
+/**
+ * Render a lint result as a SARIF 2.1.0 log with one run, including rule
+ * metadata and, where the linter supplied one, a fix for each result.
+ */
+export function formatSarif(result: LintResult, rules: Map<string, RuleMetadata>): string {
+  const ruleIndexes = new Map<string, number>();
+  const sarifRules: object[] = [];
+
+  const results = result.issues.map((issue) => {
+    let index = ruleIndexes.get(issue.rule);
+    if (index === undefined) {
+      index = sarifRules.length;
+      ruleIndexes.set(issue.rule, index);
+      sarifRules.push(toRule(issue.rule, issue, rules.get(issue.rule)));
+    }
+    return toResult(issue, index);
+  });
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'sca-mcp',
+            informationUri: 'https://github.com/cajias/lint-configs',
+            rules: sarifRules,
+          },
+        },
+        results,
+      },
+    ],
+  };
+
+  return `${JSON.stringify(log, null, 2)}\n`;
+}
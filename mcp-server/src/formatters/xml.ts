@@ -0,0 +1,11 @@
+const XML_ENTITIES = new Map([
+  ['&', '&amp;'],
+  ['<', '&lt;'],
+  ['>', '&gt;'],
+  ['"', '&quot;'],
+  ["'", '&apos;'],
+]);
+
+export function escapeXml(text: string): string {
+  return text.replaceAll(/["&'<>]/g, (char) => XML_ENTITIES.get(char) ?? char);
+}
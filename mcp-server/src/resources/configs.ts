@@ -0,0 +1,98 @@
+import { readFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+import { Resource } from '@modelcontextprotocol/sdk/types.js';
+
+import { ESLINT_CONFIG_PATH } from '../runners/eslint-config.js';
+import { MARKDOWNLINT_CONFIG_PATH } from '../runners/markdownlint.js';
+import { MYPY_CONFIG_PATH } from '../runners/mypy.js';
+import { RUFF_CONFIG_PATH } from '../runners/ruff.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Prettier config shipped alongside our bundled eslint config
+const PRETTIER_CONFIG_PATH = resolve(
+  __dirname,
+  '../../node_modules/@lint-configs/eslint-config/.prettierrc.js'
+);
+
+const CONFIG_URI_PREFIX = 'sca://config/';
+
+interface BundledConfig {
+  file: string;
+  mimeType: string;
+  description: string;
+}
+
+// The bundled configs used when a project has none of its own, by resource name
+const BUNDLED_CONFIGS = new Map<string, BundledConfig>([
+  [
+    'eslint',
+    {
+      file: ESLINT_CONFIG_PATH,
+      mimeType: 'text/javascript',
+      description: 'Bundled ESLint flat config (TypeScript and JavaScript)',
+    },
+  ],
+  [
+    'prettier',
+    {
+      file: PRETTIER_CONFIG_PATH,
+      mimeType: 'text/javascript',
+      description: 'Bundled Prettier config',
+    },
+  ],
+  [
+    'markdownlint',
+    {
+      file: MARKDOWNLINT_CONFIG_PATH,
+      mimeType: 'application/json',
+      description: 'Bundled markdownlint config',
+    },
+  ],
+  [
+    'ruff',
+    {
+      file: RUFF_CONFIG_PATH,
+      mimeType: 'application/toml',
+      description: 'Bundled ruff config (Python linting and formatting)',
+    },
+  ],
+  [
+    'python-linters',
+    {
+      file: MYPY_CONFIG_PATH,
+      mimeType: 'application/toml',
+      description: 'Bundled mypy and Black config',
+    },
+  ],
+]);
+
+export function listConfigResources(): Resource[] {
+  return Array.from(BUNDLED_CONFIGS, ([name, config]) => ({
+    uri: `${CONFIG_URI_PREFIX}${name}`,
+    name: `${name} config`,
+    description: config.description,
+    mimeType: config.mimeType,
+  }));
+}
+
+export function isConfigUri(uri: string): boolean {
+  return uri.startsWith(CONFIG_URI_PREFIX);
+}
+
+/**
+ * Read a bundled config resource (`sca://config/<name>`).
+ */
+export async function readConfigResource(
+  uri: string
+): Promise<{ uri: string; mimeType: string; text: string }> {
+  const config = BUNDLED_CONFIGS.get(uri.slice(CONFIG_URI_PREFIX.length));
+  if (!config) {
+    throw new Error(`Unknown config resource: ${uri}`);
+  }
+
+  return { uri, mimeType: config.mimeType, text: await readFile(config.file, 'utf8') };
+}
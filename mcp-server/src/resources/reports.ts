@@ -0,0 +1,64 @@
+import { resolve } from 'path';
+
+import { Resource, ResourceTemplate } from '@modelcontextprotocol/sdk/types.js';
+
+import { LintResult } from '../tools/lint.js';
+
+const REPORT_URI_PREFIX = 'sca://report/';
+
+export interface LintReport {
+  path: string;
+  // When the report was last updated (ISO 8601)
+  updatedAt: string;
+  result: LintResult;
+}
+
+// Last lint report per (absolute) path, kept for the life of the server
+const reports = new Map<string, LintReport>();
+
+export const REPORT_TEMPLATE: ResourceTemplate = {
+  uriTemplate: `${REPORT_URI_PREFIX}{path}`,
+  name: 'lint report',
+  description: 'The last lint report for a path (URI-encoded absolute path)',
+  mimeType: 'application/json',
+};
+
+export function reportUri(path: string): string {
+  return `${REPORT_URI_PREFIX}${encodeURIComponent(resolve(path))}`;
+}
+
+/**
+ * Record result as the last lint report for path. Returns whether path had no
+ * report before, i.e. whether the resource list changed.
+ */
+export function saveReport(path: string, result: LintResult): boolean {
+  const resolvedPath = resolve(path);
+  const isNew = !reports.has(resolvedPath);
+  reports.set(resolvedPath, { path: resolvedPath, updatedAt: new Date().toISOString(), result });
+  return isNew;
+}
+
+export function listReportResources(): Resource[] {
+  return Array.from(reports.values(), (report) => ({
+    uri: reportUri(report.path),
+    name: `lint report: ${report.path}`,
+    mimeType: 'application/json',
+  }));
+}
+
+export function isReportUri(uri: string): boolean {
+  return uri.startsWith(REPORT_URI_PREFIX);
+}
+
+/**
+ * Read a lint report resource (`sca://report/<path>`).
+ */
+export function readReportResource(uri: string): { uri: string; mimeType: string; text: string } {
+  const path = decodeURIComponent(uri.slice(REPORT_URI_PREFIX.length));
+  const report = reports.get(resolve(path));
+  if (!report) {
+    throw new Error(`No lint report for ${path}; run lint on it first`);
+  }
+
+  return { uri, mimeType: 'application/json', text: JSON.stringify(report, null, 2) };
+}
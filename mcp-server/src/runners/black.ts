@@ -0,0 +1,92 @@
+import { existsSync, readFileSync } from 'fs';
+import { join, resolve } from 'path';
+
+import { execa } from 'execa';
+
+import { filterByExtension } from '../utils/changed-files.js';
+import { findUpDirectory, getWorkingDirectory } from '../utils/paths.js';
+
+import { PYTHON_EXTENSIONS } from './ruff.js';
+
+export interface BlackResult {
+  unformatted: string[];
+}
+
+// Files and directories that mark the project root Black reads pyproject.toml from
+const PROJECT_ROOT_MARKERS = ['pyproject.toml', '.git', '.hg'];
+
+/**
+ * Whether the project at targetPath formats with Black rather than `ruff format`,
+ * i.e. its pyproject.toml has a [tool.black] section. Like Black, this looks in the
+ * nearest directory at or above targetPath holding a pyproject.toml, .git or .hg.
+ */
+export function usesBlack(targetPath: string): boolean {
+  const root = findUpDirectory(getWorkingDirectory(targetPath), (directory) =>
+    PROJECT_ROOT_MARKERS.some((marker) => existsSync(join(directory, marker)))
+  );
+  const pyproject = root && join(root, 'pyproject.toml');
+  return (
+    pyproject !== undefined &&
+    existsSync(pyproject) &&
+    readFileSync(pyproject, 'utf8').includes('[tool.black]')
+  );
+}
+
+let blackVersion: Promise<string> | undefined;
+
+/**
+ * The installed Black version, looked up once per process.
+ */
+export function getBlackVersion(): Promise<string> {
+  blackVersion ??= execa('black', ['--version'], { reject: false }).then(({ stdout }) =>
+    stdout.trim()
+  );
+  return blackVersion;
+}
+
+function parseUnformattedFiles(output: string, cwd: string): string[] {
+  const prefix = 'would reformat ';
+
+  return output
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith(prefix))
+    .map((line) => resolve(cwd, line.slice(prefix.length)));
+}
+
+export async function runBlack(
+  targetPath: string,
+  write: boolean,
+  files?: string[]
+): Promise<BlackResult> {
+  const resolvedPath = resolve(targetPath);
+  const cwd = getWorkingDirectory(resolvedPath);
+
+  const targets = files ? filterByExtension(files, PYTHON_EXTENSIONS) : [resolvedPath];
+  if (targets.length === 0) {
+    return { unformatted: [] };
+  }
+
+  // fix only runs Black for projects that configure it (see usesBlack), so it reads their settings
+  const args = [...targets];
+  if (!write) {
+    args.push('--check');
+  }
+
+  try {
+    const { stderr, exitCode } = await execa('black', args, {
+      reject: false, // `black --check` exits with 1 when files would change
+      cwd,
+    });
+
+    if (write || exitCode === 0) {
+      return { unformatted: [] };
+    }
+
+    // Black reports to stderr
+    return { unformatted: parseUnformattedFiles(stderr, cwd) };
+  } catch (error) {
+    console.error('Black error:', error);
+    return { unformatted: [] };
+  }
+}
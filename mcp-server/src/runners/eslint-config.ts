@@ -0,0 +1,130 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+import { findUpDirectory, getWorkingDirectory } from '../utils/paths.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Path to our bundled eslint config
+export const ESLINT_CONFIG_PATH = resolve(
+  __dirname,
+  '../../node_modules/@lint-configs/eslint-config/eslint.config.js'
+);
+
+// In ESLint's lookup order: flat config first, then legacy eslintrc files
+const FLAT_CONFIG_FILES = [
+  'eslint.config.js',
+  'eslint.config.mjs',
+  'eslint.config.cjs',
+  'eslint.config.ts',
+  'eslint.config.mts',
+  'eslint.config.cts',
+];
+
+const LEGACY_CONFIG_FILES = [
+  '.eslintrc.js',
+  '.eslintrc.cjs',
+  '.eslintrc.yaml',
+  '.eslintrc.yml',
+  '.eslintrc.json',
+  '.eslintrc',
+];
+
+/**
+ * - project: the project's own config (an error if it has none)
+ * - bundled: our bundled config, ignoring any project config
+ * - merged: our bundled config with the project's flat config layered on top
+ */
+export type EslintConfigMode = 'project' | 'bundled' | 'merged';
+
+export interface ResolvedEslintConfig {
+  mode: EslintConfigMode;
+  format: 'flat' | 'legacy';
+  // Config file in effect (the bundled one for bundled and merged)
+  file: string;
+  // The project's config file, for project and merged
+  projectFile?: string;
+}
+
+interface ProjectConfig {
+  file: string;
+  format: 'flat' | 'legacy';
+}
+
+function hasEslintConfigKey(packageJson: string): boolean {
+  try {
+    const pkg = JSON.parse(readFileSync(packageJson, 'utf8')) as Record<string, unknown>;
+    return pkg.eslintConfig !== undefined;
+  } catch {
+    return false;
+  }
+}
+
+function findInDirectory(directory: string): ProjectConfig | undefined {
+  const flat = FLAT_CONFIG_FILES.find((name) => existsSync(join(directory, name)));
+  if (flat) {
+    return { file: join(directory, flat), format: 'flat' };
+  }
+
+  const legacy = LEGACY_CONFIG_FILES.find((name) => existsSync(join(directory, name)));
+  if (legacy) {
+    return { file: join(directory, legacy), format: 'legacy' };
+  }
+
+  const packageJson = join(directory, 'package.json');
+  if (existsSync(packageJson) && hasEslintConfigKey(packageJson)) {
+    return { file: packageJson, format: 'legacy' };
+  }
+
+  return undefined;
+}
+
+/**
+ * Find the nearest ESLint config at or above targetPath: flat and legacy configs
+ * with any extension, or an `eslintConfig` key in package.json.
+ */
+export function findProjectEslintConfig(targetPath: string): ProjectConfig | undefined {
+  const resolvedPath = resolve(targetPath);
+  const directory = findUpDirectory(
+    getWorkingDirectory(resolvedPath),
+    (d) => findInDirectory(d) !== undefined
+  );
+  return directory === undefined ? undefined : findInDirectory(directory);
+}
+
+/**
+ * Decide which config ESLint runs with. Without a configMode the project's config
+ * is used when it has one, and the bundled config otherwise.
+ */
+export function resolveEslintConfig(
+  targetPath: string,
+  configMode?: EslintConfigMode
+): ResolvedEslintConfig {
+  const project = configMode === 'bundled' ? undefined : findProjectEslintConfig(targetPath);
+  const bundled: ResolvedEslintConfig = {
+    mode: 'bundled',
+    format: 'flat',
+    file: ESLINT_CONFIG_PATH,
+  };
+
+  if (configMode === 'bundled' || (configMode === undefined && !project)) {
+    return bundled;
+  }
+
+  if (!project) {
+    throw new Error(`No ESLint config found at or above ${resolve(targetPath)}`);
+  }
+
+  if (configMode === 'merged') {
+    if (project.format !== 'flat') {
+      throw new Error(
+        `configMode "merged" needs a flat ESLint config; ${project.file} is a legacy config`
+      );
+    }
+    return { ...bundled, mode: 'merged', projectFile: project.file };
+  }
+
+  return { mode: 'project', format: project.format, file: project.file, projectFile: project.file };
+}
@@ -0,0 +1,254 @@
+import { basename, extname } from 'path';
+
+import * as tsParser from '@typescript-eslint/parser';
+import { Linter, Rule } from 'eslint';
+import { builtinRules } from 'eslint/use-at-your-own-risk';
+import sonarjs from 'eslint-plugin-sonarjs';
+
+import { ESLINT_EXTENSIONS } from './eslint.js';
+
+export type FunctionMetric = 'complexity' | 'cognitiveComplexity' | 'lines' | 'params' | 'depth';
+
+export interface FunctionMetrics {
+  // As ESLint names it, e.g. "Function 'parse'" or "Method 'run'"
+  name: string;
+  line: number;
+  endLine: number;
+  complexity: number;
+  cognitiveComplexity: number;
+  lines: number;
+  params: number;
+  depth: number;
+}
+
+// The rule enforcing each metric, and its default limit
+export const METRIC_RULES = new Map<FunctionMetric, { rule: string; defaultLimit: number }>([
+  ['complexity', { rule: 'complexity', defaultLimit: 20 }],
+  ['cognitiveComplexity', { rule: 'sonarjs/cognitive-complexity', defaultLimit: 15 }],
+  ['lines', { rule: 'max-lines-per-function', defaultLimit: 50 }],
+  ['params', { rule: 'max-params', defaultLimit: 3 }],
+  ['depth', { rule: 'max-depth', defaultLimit: 4 }],
+]);
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+]);
+
+// Each rule, run with the lowest limit it accepts so it reports its measure for
+// (nearly) every function
+const MEASURING_RULES = new Map<string, { module?: Rule.RuleModule; limit: number }>([
+  ['complexity', { module: builtinRules.get('complexity'), limit: 0 }],
+  ['cognitive-complexity', { module: sonarjs.rules['cognitive-complexity'], limit: 0 }],
+  // Functions on a single line go unreported
+  ['max-lines-per-function', { module: builtinRules.get('max-lines-per-function'), limit: 1 }],
+  ['max-params', { module: builtinRules.get('max-params'), limit: 0 }],
+  ['max-depth', { module: builtinRules.get('max-depth'), limit: 0 }],
+]);
+
+interface Report {
+  rule: string;
+  node?: Rule.Node;
+  loc?: { line: number; column: number };
+  data: Map<string, unknown>;
+}
+
+type Position = { line: number; column: number };
+
+// Parents that put a function's name before it, e.g. `run() {}` or `run: () => {}`
+const METHOD_TYPES = new Set(['MethodDefinition', 'Property', 'PropertyDefinition']);
+
+function capture(name: string, rule: Rule.RuleModule, reports: Report[]): Rule.RuleModule {
+  return {
+    meta: rule.meta,
+    create: (context) => {
+      // The rule sees the real context, except that its reports are recorded with
+      // their data (the measured values) instead of becoming lint messages
+      const report = (descriptor: Rule.ReportDescriptor): void => {
+        const node = 'node' in descriptor ? descriptor.node : undefined;
+        const loc = 'loc' in descriptor ? descriptor.loc : undefined;
+        reports.push({
+          rule: name,
+          node: node as Rule.Node | undefined,
+          loc: loc && 'start' in loc ? loc.start : loc,
+          data: new Map(Object.entries(descriptor.data ?? {})),
+        });
+      };
+      return rule.create(Object.create(context, { report: { value: report } }) as Rule.RuleContext);
+    },
+  };
+}
+
+function toMeasuringOptions(entry: Linter.RuleEntry | undefined, limit: number): unknown[] {
+  // The configured options (e.g. skipBlankLines), with the limit lowered
+  const [, first] = Array.isArray(entry) ? entry : [entry];
+  if (typeof first === 'object' && first !== null) {
+    const options = Object.entries(first).filter(([key]) => key !== 'maximum');
+    return [{ ...Object.fromEntries(options), max: limit }];
+  }
+  return [limit];
+}
+
+function getConfig(
+  file: string,
+  settings: Map<string, Linter.RuleEntry | undefined>,
+  reports: Report[]
+): Linter.Config {
+  const rules = new Map<string, Rule.RuleModule>();
+  const ruleEntries: Linter.RulesRecord = {};
+
+  for (const [name, { module, limit }] of MEASURING_RULES) {
+    if (module) {
+      const id = name === 'cognitive-complexity' ? 'sonarjs/cognitive-complexity' : name;
+      rules.set(name, capture(name, module, reports));
+      ruleEntries[`metrics/${name}`] = ['warn', ...toMeasuringOptions(settings.get(id), limit)];
+    }
+  }
+
+  return {
+    files: ESLINT_EXTENSIONS.map((ext) => `**/*${ext}`),
+    languageOptions: {
+      parser: tsParser as Linter.Parser,
+      parserOptions: { ecmaFeatures: { jsx: ['.jsx', '.tsx'].includes(extname(file)) } },
+    },
+    plugins: { metrics: { rules: Object.fromEntries(rules) } },
+    rules: ruleEntries,
+  };
+}
+
+function getFunction(node: Rule.Node | undefined): Rule.Node | undefined {
+  // max-lines-per-function reports methods and properties rather than their function
+  const value = node && 'value' in node ? (node.value as Rule.Node | null) : undefined;
+  const candidate = value ?? node;
+  return candidate && FUNCTION_TYPES.has(candidate.type) ? candidate : undefined;
+}
+
+function getEnclosingFunction(node: Rule.Node | undefined): Rule.Node | undefined {
+  let current: Rule.Node | null | undefined = node?.parent;
+  while (current && !FUNCTION_TYPES.has(current.type)) {
+    current = current.parent;
+  }
+  return current ?? undefined;
+}
+
+function isBefore(a: Position, b: Position): boolean {
+  return a.line < b.line || (a.line === b.line && a.column <= b.column);
+}
+
+function findFunctionAt(functions: Rule.Node[], position: Position): Rule.Node | undefined {
+  // The innermost function whose head (including a method's key) contains position
+  const containing = functions.filter((node) => {
+    const parent = node.parent as Rule.Node | null;
+    const outer = parent && METHOD_TYPES.has(parent.type) ? parent : node;
+    return outer.loc && isBefore(outer.loc.start, position) && isBefore(position, outer.loc.end);
+  });
+  return containing.at(-1);
+}
+
+function toNumber(value: unknown): number {
+  return typeof value === 'number' ? value : Number(value ?? 0);
+}
+
+// Where each rule's report records its measure
+const RECORDERS = new Map<string, (metrics: FunctionMetrics, data: Map<string, unknown>) => void>([
+  [
+    'cognitive-complexity',
+    (metrics, data) => {
+      metrics.cognitiveComplexity = toNumber(data.get('complexityAmount'));
+    },
+  ],
+  [
+    'max-lines-per-function',
+    (metrics, data) => {
+      metrics.lines = toNumber(data.get('lineCount'));
+    },
+  ],
+  [
+    'max-params',
+    (metrics, data) => {
+      metrics.params = toNumber(data.get('count'));
+    },
+  ],
+  [
+    'max-depth',
+    (metrics, data) => {
+      // Reported for every nested block; the function's depth is the deepest
+      metrics.depth = Math.max(metrics.depth, toNumber(data.get('depth')));
+    },
+  ],
+]);
+
+function nameFunctions(reports: Report[]): Map<Rule.Node, FunctionMetrics> {
+  const metrics = new Map<Rule.Node, FunctionMetrics>();
+
+  // complexity reports every function, so it names them
+  for (const { rule, node, data } of reports) {
+    const fn = getFunction(node);
+    if (rule === 'complexity' && fn?.loc) {
+      metrics.set(fn, {
+        name: String(data.get('name')),
+        line: fn.loc.start.line,
+        endLine: fn.loc.end.line,
+        complexity: toNumber(data.get('complexity')),
+        cognitiveComplexity: 0,
+        lines: 1,
+        params: 0,
+        depth: 0,
+      });
+    }
+  }
+
+  return metrics;
+}
+
+function findOwner(report: Report, functions: Rule.Node[]): Rule.Node | undefined {
+  const { rule, node, loc } = report;
+  if (rule === 'max-depth') {
+    return getEnclosingFunction(node);
+  }
+  // sonarjs reports only a location: the function's name or keyword
+  return getFunction(node) ?? (loc ? findFunctionAt(functions, loc) : undefined);
+}
+
+function collect(reports: Report[]): Map<Rule.Node, FunctionMetrics> {
+  const metrics = nameFunctions(reports);
+  const functions = Array.from(metrics.keys());
+
+  for (const report of reports) {
+    const owner = findOwner(report, functions);
+    const target = owner && metrics.get(owner);
+    if (target) {
+      RECORDERS.get(report.rule)?.(target, report.data);
+    }
+  }
+
+  return metrics;
+}
+
+/**
+ * Measure every function in a JavaScript/TypeScript source file with the rules
+ * that enforce the limits, so the numbers match what `lint` reports. settings are
+ * the rules as configured for the file, for options such as skipBlankLines.
+ */
+export function measureFunctions(
+  file: string,
+  source: string,
+  settings: Map<string, Linter.RuleEntry | undefined>
+): FunctionMetrics[] {
+  const reports: Report[] = [];
+  const linter = new Linter({ configType: 'flat' });
+
+  try {
+    const messages = linter.verify(source, getConfig(file, settings, reports), basename(file));
+    const fatal = messages.find((message) => message.fatal);
+    if (fatal) {
+      throw new Error(`${file}:${fatal.line}: ${fatal.message}`);
+    }
+  } catch (error) {
+    console.error('Metrics error:', error);
+    return [];
+  }
+
+  return Array.from(collect(reports).values()).sort((a, b) => a.line - b.line);
+}
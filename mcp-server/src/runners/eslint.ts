@@ -1,16 +1,17 @@
+import { createHash } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
 import { dirname, resolve } from 'path';
-import { fileURLToPath } from 'url';
+import { pathToFileURL } from 'url';
 
-import { execa } from 'execa';
+import { ESLint, Linter, loadESLint, Rule } from 'eslint';
+import { builtinRules } from 'eslint/use-at-your-own-risk';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { filterByExtension } from '../utils/changed-files.js';
+import { getWorkingDirectory } from '../utils/paths.js';
 
-// Path to our bundled eslint config
-const ESLINT_CONFIG_PATH = resolve(
-  __dirname,
-  '../../node_modules/@lint-configs/eslint-config/eslint.config.js'
-);
+import { ResolvedEslintConfig, resolveEslintConfig } from './eslint-config.js';
+
+export const ESLINT_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'];
 
 export interface EslintMessage {
   ruleId: string | null;
@@ -39,51 +40,394 @@ export interface EslintIssue extends EslintMessage {
   filePath: string;
 }
 
-export async function runEslint(targetPath: string, fix: boolean): Promise<EslintFileResult[]> {
+export interface EslintFixResult {
+  results: EslintFileResult[];
+  fixed: number;
+  fixedByRule: Map<string, number>;
+  fixedFiles: string[];
+}
+
+export function getEslintVersion(): string {
+  return ESLint.version;
+}
+
+// The part of ESLint and LegacyESLint the runners use
+type EslintLinter = Pick<ESLint, 'lintFiles' | 'calculateConfigForFile'>;
+
+async function importFlatConfig(
+  file: string,
+  version: string
+): Promise<Linter.Config | Linter.Config[]> {
+  // The version query makes Node load an edited config again instead of its cached module
+  const url = `${pathToFileURL(file).href}?version=${version}`;
+  const module = (await import(url)) as { default: unknown };
+  return (await module.default) as Linter.Config | Linter.Config[];
+}
+
+// A hash of the config files' contents, so an edited config gets a fresh instance
+function getConfigVersion(config: ResolvedEslintConfig): string {
+  const hash = createHash('sha256');
+  for (const file of new Set([config.file, config.projectFile ?? config.file])) {
+    hash.update(existsSync(file) ? readFileSync(file) : '');
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+// typescript-eslint resolves a relative parserOptions.project against
+// tsconfigRootDir, or the process's working directory without one
+function withTsconfigRoot(
+  cwd: string,
+  config: Linter.Config | Linter.Config[] = []
+): Linter.Config[] {
+  return [...[config].flat(), { languageOptions: { parserOptions: { tsconfigRootDir: cwd } } }];
+}
+
+async function createEslint(
+  resolvedPath: string,
+  config: ResolvedEslintConfig,
+  fix?: (message: Linter.LintMessage) => boolean,
+  selectRule?: (ruleId: string) => boolean
+): Promise<EslintLinter> {
+  const options = { errorOnUnmatchedPattern: false, fix };
+
+  // Flat config only: don't warn about explicitly listed files the config ignores,
+  // and only run the selected rules
+  const ruleFilter = selectRule && (({ ruleId }: { ruleId: string }) => selectRule(ruleId));
+  const flatOptions = { ...options, warnIgnored: false, ruleFilter };
+
+  if (config.mode === 'bundled') {
+    const cwd = getWorkingDirectory(resolvedPath);
+    return new ESLint({
+      ...flatOptions,
+      cwd,
+      overrideConfigFile: config.file,
+      overrideConfig: withTsconfigRoot(cwd),
+    });
+  }
+
+  // Run from the directory holding the project config so its paths resolve as usual
+  const cwd = dirname(config.projectFile ?? config.file);
+
+  if (config.mode === 'merged') {
+    const project = await importFlatConfig(
+      config.projectFile ?? config.file,
+      getConfigVersion(config)
+    );
+    const overrideConfig = withTsconfigRoot(cwd, project);
+    return new ESLint({ ...flatOptions, cwd, overrideConfigFile: config.file, overrideConfig });
+  }
+
+  if (config.format === 'legacy') {
+    const LegacyESLint = await loadESLint({ useFlatConfig: false });
+    const overrideConfig = { parserOptions: { tsconfigRootDir: cwd } };
+    return new LegacyESLint({ ...options, cwd, overrideConfig });
+  }
+
+  return new ESLint({
+    ...flatOptions,
+    cwd,
+    overrideConfigFile: config.file,
+    overrideConfig: withTsconfigRoot(cwd),
+  });
+}
+
+// Creating an ESLint instance loads the config and plugins, so keep one per
+// project root and config for repeated lint calls, until the config is edited
+const eslintInstances = new Map<string, { version: string; eslint: Promise<EslintLinter> }>();
+
+function getEslint(resolvedPath: string, config: ResolvedEslintConfig): Promise<EslintLinter> {
+  const key = `${getWorkingDirectory(resolvedPath)}:${config.mode}:${config.file}`;
+  const version = getConfigVersion(config);
+  const cached = eslintInstances.get(key);
+  if (cached?.version === version) {
+    return cached.eslint;
+  }
+
+  const eslint = createEslint(resolvedPath, config);
+  // Don't keep a failed load around; the next call tries again
+  eslint.catch(() => {
+    if (eslintInstances.get(key)?.eslint === eslint) {
+      eslintInstances.delete(key);
+    }
+  });
+  eslintInstances.set(key, { version, eslint });
+  return eslint;
+}
+
+// Legacy configs warn about explicitly listed files their ignore patterns match
+// ("File ignored because of a matching ignore pattern"), with no rule or line
+function isIgnoredFileWarning(message: Linter.LintMessage): boolean {
+  return message.ruleId === null && !message.line;
+}
+
+function toFileResult(result: ESLint.LintResult): EslintFileResult {
+  const messages = result.messages.filter((m) => !isIgnoredFileWarning(m));
+  return {
+    filePath: result.filePath,
+    messages: messages as EslintMessage[],
+    errorCount: result.errorCount,
+    warningCount: result.warningCount - (result.messages.length - messages.length),
+    fixableErrorCount: result.fixableErrorCount,
+    fixableWarningCount: result.fixableWarningCount,
+  };
+}
+
+function getTargets(resolvedPath: string, files?: string[]): string[] {
+  // When scoped to a file list, only lint the files ESLint understands
+  return files ? filterByExtension(files, ESLINT_EXTENSIONS) : [resolvedPath];
+}
+
+/**
+ * Lint targetPath (or just `files`). Without an explicit config, the project's own
+ * ESLint config is used when it has one and our bundled config otherwise.
+ */
+export async function runEslint(
+  targetPath: string,
+  files?: string[],
+  config: ResolvedEslintConfig = resolveEslintConfig(targetPath)
+): Promise<EslintFileResult[]> {
   // Resolve the target path
   const resolvedPath = resolve(targetPath);
 
-  // Find the eslint binary in our package's node_modules
-  const eslintBin = resolve(__dirname, '../../node_modules/.bin/eslint');
-
-  const args = [resolvedPath, '--format', 'json', '--no-error-on-unmatched-pattern'];
+  const targets = getTargets(resolvedPath, files);
+  if (targets.length === 0) {
+    return [];
+  }
 
-  // Try to use the bundled config, but fall back to project's config if it exists
   try {
-    // Check if target project has its own eslint config
-    const { stdout: configCheck } = await execa('ls', ['-la', resolvedPath], { reject: false });
-    const hasOwnConfig = configCheck.includes('eslint.config') || configCheck.includes('.eslintrc');
+    const eslint = await getEslint(resolvedPath, config);
+    const results = await eslint.lintFiles(targets);
+    return results.map(toFileResult);
+  } catch (error) {
+    // If eslint fails completely, return empty results
+    console.error('ESLint error:', error);
+    return [];
+  }
+}
 
-    if (!hasOwnConfig) {
-      // Use our bundled config
-      args.push('--config', ESLINT_CONFIG_PATH);
+// Fixable problems per rule, counting only the selected rules
+function countFixable(
+  results: ESLint.LintResult[],
+  selectRule?: (ruleId: string) => boolean
+): Map<string, number> {
+  const counts = new Map<string, number>();
+  for (const { messages } of results) {
+    for (const { ruleId, fix } of messages) {
+      const rule = ruleId ?? 'unknown';
+      if (fix && (!selectRule || selectRule(rule))) {
+        counts.set(rule, (counts.get(rule) ?? 0) + 1);
+      }
     }
-  } catch {
-    // If check fails, try with bundled config
-    args.push('--config', ESLINT_CONFIG_PATH);
   }
+  return counts;
+}
 
-  if (fix) {
-    args.push('--fix');
+function countFixed(before: Map<string, number>, after: Map<string, number>): Map<string, number> {
+  const fixed = new Map<string, number>();
+  for (const [rule, count] of before) {
+    const gone = count - (after.get(rule) ?? 0);
+    if (gone > 0) {
+      fixed.set(rule, gone);
+    }
+  }
+  return fixed;
+}
+
+async function lintWithFixes(
+  resolvedPath: string,
+  targets: string[],
+  config: ResolvedEslintConfig,
+  selectRule?: (ruleId: string) => boolean
+): Promise<{ results: ESLint.LintResult[]; fixedByRule: Map<string, number> }> {
+  // ESLint fixes in up to 10 passes and only reports what remains, so the fixable
+  // problems from a lint without fixes are compared with the ones left afterwards
+  const before = await (await getEslint(resolvedPath, config)).lintFiles(targets);
+
+  // Legacy configs run every rule, so the fixes are filtered here too
+  const fix = ({ ruleId }: Linter.LintMessage): boolean =>
+    !selectRule || selectRule(ruleId ?? 'unknown');
+  const eslint = await createEslint(resolvedPath, config, fix, selectRule);
+  const results = await eslint.lintFiles(targets);
+
+  const fixedByRule = countFixed(
+    countFixable(before, selectRule),
+    countFixable(results, selectRule)
+  );
+  return { results, fixedByRule };
+}
+
+function sum(counts: Map<string, number>): number {
+  return [...counts.values()].reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Apply ESLint fixes and write them to disk. `results` holds the problems that
+ * remain after fixing. With selectRule, only the selected rules run, so only
+ * their fixes are applied.
+ */
+export async function runEslintFix(
+  targetPath: string,
+  files?: string[],
+  config: ResolvedEslintConfig = resolveEslintConfig(targetPath),
+  selectRule?: (ruleId: string) => boolean
+): Promise<EslintFixResult> {
+  const resolvedPath = resolve(targetPath);
+
+  const targets = getTargets(resolvedPath, files);
+  if (targets.length === 0) {
+    return { results: [], fixed: 0, fixedByRule: new Map(), fixedFiles: [] };
   }
 
   try {
-    const { stdout } = await execa(eslintBin, args, {
-      reject: false, // ESLint exits with non-zero when there are issues
-      cwd:
-        resolvedPath.endsWith('.ts') || resolvedPath.endsWith('.js')
-          ? dirname(resolvedPath)
-          : resolvedPath,
-    });
+    const { results, fixedByRule } = await lintWithFixes(resolvedPath, targets, config, selectRule);
+    await ESLint.outputFixes(results);
 
-    if (!stdout || stdout.trim() === '') {
-      return [];
-    }
+    return {
+      results: results.map(toFileResult),
+      fixed: sum(fixedByRule),
+      fixedByRule,
+      fixedFiles: results.filter((r) => r.output !== undefined).map((r) => r.filePath),
+    };
+  } catch (error) {
+    console.error('ESLint error:', error);
+    return { results: [], fixed: 0, fixedByRule: new Map(), fixedFiles: [] };
+  }
+}
+
+export interface EslintFixPreview {
+  fixed: number;
+  fixedByRule: Map<string, number>;
+  // The fixed source of every file ESLint would change
+  outputs: Map<string, string>;
+}
+
+/**
+ * Compute the fixes runEslintFix would apply, with the same passes, without
+ * writing anything.
+ */
+export async function previewEslintFixes(
+  targetPath: string,
+  files?: string[],
+  config: ResolvedEslintConfig = resolveEslintConfig(targetPath),
+  selectRule?: (ruleId: string) => boolean
+): Promise<EslintFixPreview> {
+  const resolvedPath = resolve(targetPath);
+
+  const targets = getTargets(resolvedPath, files);
+  if (targets.length === 0) {
+    return { fixed: 0, fixedByRule: new Map(), outputs: new Map() };
+  }
 
-    return JSON.parse(stdout) as EslintFileResult[];
+  try {
+    const { results, fixedByRule } = await lintWithFixes(resolvedPath, targets, config, selectRule);
+    const outputs = new Map<string, string>();
+    for (const { filePath, output } of results) {
+      if (output !== undefined) {
+        outputs.set(filePath, output);
+      }
+    }
+    return { fixed: sum(fixedByRule), fixedByRule, outputs };
   } catch (error) {
-    // If eslint fails completely, return empty results
     console.error('ESLint error:', error);
-    return [];
+    return { fixed: 0, fixedByRule: new Map(), outputs: new Map() };
+  }
+}
+
+export interface EslintFileConfig {
+  // Severity and options of every rule configured for the file
+  rules: Map<string, Linter.RuleEntry>;
+  // Rule metadata from the loaded plugins (flat configs only)
+  getRuleMeta: (rule: string) => Rule.RuleMetaData | undefined;
+  // Whether the parser is given a TypeScript project, for type-aware rules
+  typeAware: boolean;
+}
+
+interface ParserOptions {
+  project?: unknown;
+  projectService?: unknown;
+}
+
+interface CalculatedConfig {
+  rules?: Record<string, Linter.RuleEntry>;
+  plugins?: Record<string, { rules?: unknown }>;
+  // Flat configs set parser options in languageOptions, legacy ones at the top level
+  languageOptions?: { parserOptions?: ParserOptions };
+  parserOptions?: ParserOptions;
+}
+
+// Rules that follow a file's imports into the files it imports
+const CROSS_FILE_RULES = new Set([
+  'import/default',
+  'import/export',
+  'import/named',
+  'import/namespace',
+  'import/no-cycle',
+  'import/no-deprecated',
+  'import/no-named-as-default',
+  'import/no-named-as-default-member',
+  'import/no-unused-modules',
+]);
+
+export function isRuleEnabled(entry: Linter.RuleEntry | undefined): boolean {
+  const severity = Array.isArray(entry) ? entry[0] : entry;
+  return severity !== undefined && severity !== 0 && severity !== 'off';
+}
+
+function isTypeAware(config: CalculatedConfig): boolean {
+  const parserOptions = config.languageOptions?.parserOptions ?? config.parserOptions ?? {};
+  return [parserOptions.project, parserOptions.projectService].some(Boolean);
+}
+
+function findRuleMeta(config: CalculatedConfig, rule: string): Rule.RuleMetaData | undefined {
+  // The longest plugin name prefixing the rule owns it (e.g. "n" for "n/prefer-promises/fs")
+  const owner = Object.entries(config.plugins ?? {})
+    .filter(([name]) => name !== '@' && rule.startsWith(`${name}/`))
+    .sort(([a], [b]) => b.length - a.length)
+    .at(0);
+
+  if (!owner) {
+    return builtinRules.get(rule)?.meta;
   }
+
+  const [name, plugin] = owner;
+  const rules = new Map(Object.entries((plugin.rules ?? {}) as Record<string, Rule.RuleModule>));
+  return rules.get(rule.slice(name.length + 1))?.meta;
+}
+
+/**
+ * The effective ESLint config for a (possibly non-existent) file, absolute or
+ * relative to targetPath's directory, e.g. to look up how a rule is configured.
+ */
+export async function getEslintFileConfig(
+  targetPath: string,
+  fileName: string,
+  config: ResolvedEslintConfig = resolveEslintConfig(targetPath)
+): Promise<EslintFileConfig> {
+  const resolvedPath = resolve(targetPath);
+  const eslint = await getEslint(resolvedPath, config);
+  const file = resolve(getWorkingDirectory(resolvedPath), fileName);
+  const calculated = ((await eslint.calculateConfigForFile(file)) ?? {}) as CalculatedConfig;
+
+  return {
+    rules: new Map(Object.entries(calculated.rules ?? {})),
+    getRuleMeta: (rule) => findRuleMeta(calculated, rule),
+    typeAware: isTypeAware(calculated),
+  };
+}
+
+/**
+ * Whether ESLint's results for a file can change when only other files do:
+ * type-aware rules see the types of everything it imports, and some import
+ * rules (e.g. import/no-cycle) follow its imports.
+ */
+export async function readsOtherFiles(
+  targetPath: string,
+  fileName: string,
+  config: ResolvedEslintConfig = resolveEslintConfig(targetPath)
+): Promise<boolean> {
+  const { rules, typeAware } = await getEslintFileConfig(targetPath, fileName, config);
+  return (
+    typeAware ||
+    Array.from(rules).some(([rule, entry]) => CROSS_FILE_RULES.has(rule) && isRuleEnabled(entry))
+  );
 }
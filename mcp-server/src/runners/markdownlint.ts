@@ -0,0 +1,136 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+import { execa } from 'execa';
+import { parse, ParseError, printParseErrorCode } from 'jsonc-parser';
+import { Configuration } from 'markdownlint';
+import { readConfig } from 'markdownlint/promise';
+import { parse as parseYaml } from 'yaml';
+
+import { filterByExtension } from '../utils/changed-files.js';
+import { getWorkingDirectory } from '../utils/paths.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Path to our bundled markdownlint config
+export const MARKDOWNLINT_CONFIG_PATH = resolve(
+  __dirname,
+  '../../node_modules/@lint-configs/markdownlint-config/.markdownlint.json'
+);
+
+// Config files markdownlint-cli picks up from the working directory on its own,
+// in the order it prefers them
+const PROJECT_CONFIG_FILES = [
+  '.markdownlint.jsonc',
+  '.markdownlint.json',
+  '.markdownlint.yaml',
+  '.markdownlint.yml',
+  '.markdownlintrc',
+];
+
+export interface MarkdownlintMessage {
+  fileName: string;
+  lineNumber: number;
+  ruleNames: string[];
+  ruleDescription: string;
+  ruleInformation: string | null;
+  errorDetail: string | null;
+  errorContext: string | null;
+  errorRange: [number, number] | null;
+  fixInfo: object | null;
+  severity?: 'error' | 'warning';
+}
+
+/**
+ * The bundled markdownlint-cli version.
+ */
+export function getMarkdownlintVersion(): string {
+  const packageJson = resolve(__dirname, '../../node_modules/markdownlint-cli/package.json');
+  return (JSON.parse(readFileSync(packageJson, 'utf8')) as { version: string }).version;
+}
+
+export function getMarkdownlintRuleUrl(rule: string): string {
+  return `https://github.com/DavidAnson/markdownlint/blob/main/doc/${rule.toLowerCase()}.md`;
+}
+
+function findOwnConfig(directory: string): string | undefined {
+  return PROJECT_CONFIG_FILES.map((file) => join(directory, file)).find((file) => existsSync(file));
+}
+
+/**
+ * The markdownlint config that applies to targetPath: the project's own when its
+ * directory has one, otherwise our bundled config.
+ */
+export function findMarkdownlintConfig(targetPath: string): string {
+  return findOwnConfig(getWorkingDirectory(targetPath)) ?? MARKDOWNLINT_CONFIG_PATH;
+}
+
+function parseJsonc(text: string): Configuration {
+  const errors: ParseError[] = [];
+  const config = parse(text, errors, { allowTrailingComma: true }) as Configuration;
+  if (errors.length > 0) {
+    throw new Error(`Invalid JSON: ${printParseErrorCode(errors[0].error)}`);
+  }
+  return config;
+}
+
+/**
+ * Read a markdownlint config file, following its `extends`, in any of the formats
+ * markdownlint-cli reads (JSON, JSONC or YAML).
+ */
+export async function readMarkdownlintConfig(file: string): Promise<Configuration> {
+  return readConfig(file, [parseJsonc, (text) => parseYaml(text) as Configuration]);
+}
+
+export async function runMarkdownlint(
+  targetPath: string,
+  fix: boolean,
+  files?: string[],
+  // Rules to turn off for this run, e.g. to fix only some of them
+  disabledRules: string[] = []
+): Promise<MarkdownlintMessage[]> {
+  const resolvedPath = resolve(targetPath);
+  const cwd = getWorkingDirectory(resolvedPath);
+  const markdownlintBin = resolve(__dirname, '../../node_modules/.bin/markdownlint');
+
+  // When scoped to a file list, only lint Markdown files
+  const targets = files ? filterByExtension(files, ['.md']) : [resolvedPath];
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const args = [...targets, '--json', '--ignore', '**/node_modules/**'];
+
+  // Use the project's markdownlint config if it has one, otherwise our bundled config
+  if (!findOwnConfig(cwd)) {
+    args.push('--config', MARKDOWNLINT_CONFIG_PATH);
+  }
+
+  if (fix) {
+    args.push('--fix');
+  }
+
+  if (disabledRules.length > 0) {
+    args.push('--disable', ...disabledRules);
+  }
+
+  try {
+    const { stderr } = await execa(markdownlintBin, args, {
+      reject: false, // markdownlint exits with non-zero when there are issues
+      cwd,
+    });
+
+    // markdownlint writes its JSON report to stderr
+    if (!stderr || !stderr.trim().startsWith('[')) {
+      return [];
+    }
+
+    const messages = JSON.parse(stderr) as MarkdownlintMessage[];
+    return messages.map((msg) => ({ ...msg, fileName: resolve(cwd, msg.fileName) }));
+  } catch (error) {
+    console.error('Markdownlint error:', error);
+    return [];
+  }
+}
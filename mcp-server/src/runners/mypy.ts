@@ -0,0 +1,221 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+import { execa } from 'execa';
+
+import { filterByExtension } from '../utils/changed-files.js';
+import { findUpDirectory, getWorkingDirectory } from '../utils/paths.js';
+
+import { PYTHON_EXTENSIONS } from './ruff.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Path to our bundled linter config (holds the [tool.mypy] section)
+export const MYPY_CONFIG_PATH = resolve(__dirname, '../../configs/pyproject-linters.toml');
+
+// e.g. "src/app.py:12:5: error: Argument 1 has incompatible type "str"  [arg-type]"
+const MYPY_LINE_PATTERN = /^(.+?):(\d+):(\d+): (error|warning): (.*)$/;
+const MYPY_CODE_PATTERN = / {2}\[([\w-]+)\]$/;
+
+export interface MypyMessage {
+  file: string;
+  line: number;
+  column: number;
+  severity: 'error' | 'warning';
+  message: string;
+  code: string | null;
+}
+
+// mypy's error codes and what each checks, as its docs list them
+const ERROR_CODES = new Map([
+  ['attr-defined', 'Check that attribute exists'],
+  ['union-attr', 'Check that attribute exists in each union item'],
+  ['name-defined', 'Check that name is defined'],
+  ['used-before-def', 'Check that a variable is not used before it is defined'],
+  ['call-arg', 'Check arguments in calls'],
+  ['arg-type', 'Check argument types'],
+  ['call-overload', 'Check calls to overloaded functions'],
+  ['valid-type', 'Check validity of types'],
+  ['var-annotated', 'Require annotation if variable type is unclear'],
+  ['override', 'Check validity of overrides'],
+  ['return', 'Check that function returns a value'],
+  ['empty-body', 'Check that functions do not have empty bodies outside stubs'],
+  ['return-value', 'Check that return value is compatible'],
+  ['assignment', 'Check types in assignment statement'],
+  ['method-assign', 'Check that assignment target is not a method'],
+  ['type-var', 'Check type variable values'],
+  ['operator', 'Check uses of various operators'],
+  ['index', 'Check indexing operations'],
+  ['list-item', 'Check list items'],
+  ['dict-item', 'Check dict items'],
+  ['typeddict-item', 'Check TypedDict items'],
+  ['typeddict-unknown-key', 'Check TypedDict keys'],
+  ['has-type', 'Check that type of target is known'],
+  ['import', 'Check for an issue with imports'],
+  ['import-not-found', 'Check that import target can be found'],
+  ['import-untyped', 'Check that imported module has type hints'],
+  ['no-redef', 'Check that each name is defined once'],
+  ['func-returns-value', 'Check that called function returns a value'],
+  ['abstract', 'Check instantiation of abstract classes'],
+  ['safe-super', 'Check that call to an abstract method via super is valid'],
+  ['valid-newtype', 'Check the target of NewType'],
+  ['exit-return', 'Check the return type of __exit__'],
+  ['name-match', 'Check that naming is consistent'],
+  ['no-overload-impl', 'Check that overloaded functions have an implementation'],
+  ['unused-coroutine', 'Check that coroutine return value is used'],
+  ['top-level-await', 'Warn about top level await expressions'],
+  ['await-not-async', 'Warn about await outside coroutine'],
+  ['truthy-function', 'Check that function is not used in boolean context'],
+  ['str-format', 'Check that string formatting/interpolation is type-safe'],
+  ['str-bytes-safe', 'Check for implicit bytes coercions'],
+  ['syntax', 'Report syntax errors'],
+  ['misc', 'Miscellaneous checks'],
+]);
+
+// Codes mypy only reports when enabled, several of them by --strict
+const OPTIONAL_ERROR_CODES = new Map([
+  ['type-arg', 'Check that type arguments exist'],
+  ['no-untyped-def', 'Check that every function has an annotation'],
+  ['redundant-cast', 'Check that cast is not redundant'],
+  ['comparison-overlap', 'Check that comparisons are overlapping'],
+  ['no-untyped-call', 'Check that no untyped functions are called'],
+  ['no-any-return', 'Check that function does not return Any value'],
+  ['no-any-unimported', 'Check that types have no Any components due to missing imports'],
+  ['unreachable', 'Check that statement or expression is unreachable'],
+  ['redundant-expr', 'Check that expression is not redundant'],
+  ['possibly-undefined', 'Warn about variables that are defined only in some execution paths'],
+  ['truthy-bool', 'Check that expression in boolean context has __bool__ or __len__'],
+  ['ignore-without-code', 'Check that "# type: ignore" includes an error code'],
+  ['unused-awaitable', 'Check that awaitable return value is used'],
+  ['unused-ignore', 'Check that "# type: ignore" comment is used'],
+  ['explicit-override', 'Check that @override is used when overriding a base class method'],
+]);
+
+export interface MypyErrorCode {
+  code: string;
+  description: string;
+  url: string;
+  // Only reported when enabled
+  optional: boolean;
+}
+
+/**
+ * What mypy error code (e.g. arg-type) checks, when it is one mypy documents.
+ */
+export function getMypyErrorCode(code: string): MypyErrorCode | undefined {
+  const description = ERROR_CODES.get(code);
+  if (description !== undefined) {
+    return {
+      code,
+      description,
+      url: 'https://mypy.readthedocs.io/en/stable/error_code_list.html',
+      optional: false,
+    };
+  }
+
+  const optional = OPTIONAL_ERROR_CODES.get(code);
+  if (optional !== undefined) {
+    return {
+      code,
+      description: optional,
+      url: 'https://mypy.readthedocs.io/en/stable/error_code_list2.html',
+      optional: true,
+    };
+  }
+  return undefined;
+}
+
+function fileContains(path: string, section: string): boolean {
+  return existsSync(path) && readFileSync(path, 'utf8').includes(section);
+}
+
+// mypy's config files in the order it picks them, with the section each must have
+const CONFIG_FILES = new Map([
+  ['mypy.ini', ''],
+  ['.mypy.ini', ''],
+  ['pyproject.toml', '[tool.mypy'],
+  ['setup.cfg', '[mypy'],
+]);
+
+function findConfigFile(directory: string): string | undefined {
+  return Array.from(CONFIG_FILES)
+    .map(([file, section]) => ({ path: join(directory, file), section }))
+    .find(({ path, section }) => fileContains(path, section))?.path;
+}
+
+// The nearest project config at or above directory. It's passed explicitly, since
+// older mypy versions only look in the working directory
+function findOwnConfig(directory: string): string | undefined {
+  const found = findUpDirectory(directory, (current) => findConfigFile(current) !== undefined);
+  return found && findConfigFile(found);
+}
+
+function parseMypyOutput(output: string, cwd: string): MypyMessage[] {
+  const messages: MypyMessage[] = [];
+
+  for (const line of output.split('\n')) {
+    // Notes and summary lines don't match and are skipped
+    const match = MYPY_LINE_PATTERN.exec(line.trim());
+    if (!match) {
+      continue;
+    }
+
+    const [, file, lineNumber, column, severity, text] = match;
+    const codeMatch = MYPY_CODE_PATTERN.exec(text);
+    messages.push({
+      file: resolve(cwd, file),
+      line: Number(lineNumber),
+      column: Number(column),
+      severity: severity as MypyMessage['severity'],
+      message: codeMatch ? text.slice(0, codeMatch.index) : text,
+      code: codeMatch ? codeMatch[1] : null,
+    });
+  }
+
+  return messages;
+}
+
+export async function runMypy(targetPath: string, files?: string[]): Promise<MypyMessage[]> {
+  const resolvedPath = resolve(targetPath);
+  const cwd = getWorkingDirectory(resolvedPath);
+
+  // When scoped to a file list, only type-check Python files
+  const targets = files ? filterByExtension(files, PYTHON_EXTENSIONS) : [resolvedPath];
+  if (targets.length === 0) {
+    return [];
+  }
+
+  // Force a one-line-per-error format regardless of the `pretty` setting in the config
+  const args = [
+    ...targets,
+    '--show-column-numbers',
+    '--show-error-codes',
+    '--no-pretty',
+    '--no-error-summary',
+  ];
+
+  // Use the project's mypy settings if it has any, otherwise our bundled config
+  const configFile = findOwnConfig(cwd) ?? MYPY_CONFIG_PATH;
+  if (existsSync(configFile)) {
+    args.push('--config-file', configFile);
+  }
+
+  try {
+    const { stdout } = await execa('mypy', args, {
+      reject: false, // mypy exits with non-zero when there are type errors
+      cwd,
+    });
+
+    if (!stdout || stdout.trim() === '') {
+      return [];
+    }
+
+    return parseMypyOutput(stdout, cwd);
+  } catch (error) {
+    // If mypy is missing or fails completely, return empty results
+    console.error('Mypy error:', error);
+    return [];
+  }
+}
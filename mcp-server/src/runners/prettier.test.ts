@@ -0,0 +1,46 @@
+import assert from 'assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { after, before, describe, it } from 'node:test';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { getPrettierHunks } from './prettier.js';
+
+describe('getPrettierHunks', () => {
+  let directory: string;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'sca-prettier-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  async function hunksFor(name: string, source: string): ReturnType<typeof getPrettierHunks> {
+    const file = join(directory, name);
+    await writeFile(file, source);
+    return getPrettierHunks(file);
+  }
+
+  it('anchors an inserted line to the line it follows', async () => {
+    const hunks = await hunksFor('insert.md', '# Title\ntext here\n- item\n');
+
+    assert.deepEqual(
+      hunks.map(({ startLine, endLine, replacement }) => ({ startLine, endLine, replacement })),
+      [
+        { startLine: 1, endLine: 1, replacement: '# Title\n' },
+        { startLine: 2, endLine: 2, replacement: 'text here\n' },
+      ]
+    );
+  });
+
+  it('replaces changed lines in place', async () => {
+    const hunks = await hunksFor('change.ts', 'const a = 1\n');
+
+    assert.deepEqual(
+      hunks.map(({ startLine, endLine, replacement }) => ({ startLine, endLine, replacement })),
+      [{ startLine: 1, endLine: 1, replacement: 'const a = 1;' }]
+    );
+  });
+});
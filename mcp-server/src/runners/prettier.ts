@@ -1,78 +1,142 @@
-import { dirname, resolve } from 'path';
-import { fileURLToPath } from 'url';
+import { readFile, writeFile } from 'fs/promises';
+import { join, resolve } from 'path';
 
-import { execa } from 'execa';
+import { structuredPatch } from 'diff';
+import { format, getFileInfo, resolveConfig, version } from 'prettier';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { filterByExtension } from '../utils/changed-files.js';
+import { listFiles } from '../utils/list-files.js';
+import { getWorkingDirectory } from '../utils/paths.js';
 
 export interface PrettierResult {
   unformatted: string[];
 }
 
-const SUPPORTED_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.json', '.md'];
+export interface PrettierHunk {
+  file: string;
+  // First and last line (1-based, inclusive) of the original text to replace
+  startLine: number;
+  endLine: number;
+  replacement: string;
+}
 
-function isSupportedFile(path: string): boolean {
-  return SUPPORTED_EXTENSIONS.some((ext) => path.endsWith(ext));
+export const PRETTIER_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.json', '.md'];
+
+// The rule Prettier's issues are reported under, as eslint-plugin-prettier does
+export const PRETTIER_RULE = 'prettier/prettier';
+
+export function getPrettierVersion(): string {
+  return version;
 }
 
-function getGlobPattern(resolvedPath: string): string {
-  if (isSupportedFile(resolvedPath)) {
-    return resolvedPath;
-  }
-  return `${resolvedPath}/**/*.{ts,tsx,js,jsx,json,md}`;
+function isSupportedFile(path: string): boolean {
+  return PRETTIER_EXTENSIONS.some((ext) => path.endsWith(ext));
 }
 
-function getWorkingDirectory(resolvedPath: string): string {
-  if (resolvedPath.endsWith('.ts') || resolvedPath.endsWith('.js')) {
-    return dirname(resolvedPath);
-  }
-  return resolvedPath;
+async function isIgnored(file: string, cwd: string): Promise<boolean> {
+  // Same ignore files the Prettier CLI reads by default
+  const { ignored } = await getFileInfo(file, {
+    ignorePath: [join(cwd, '.gitignore'), join(cwd, '.prettierignore')],
+  });
+  return ignored;
 }
 
-function parseUnformattedFiles(output: string): string[] {
+/**
+ * Check (or, with write, format in place) files with the Prettier API, in process.
+ * `unformatted` lists the files that were not formatted before this call.
+ */
+export async function runPrettier(
+  targetPath: string,
+  write: boolean,
+  files?: string[]
+): Promise<PrettierResult> {
+  const resolvedPath = resolve(targetPath);
+  const cwd = getWorkingDirectory(resolvedPath);
+
+  // When scoped to a file list, only check the files Prettier is run on
+  const targets = files
+    ? filterByExtension(files, PRETTIER_EXTENSIONS)
+    : await listFiles(resolvedPath, PRETTIER_EXTENSIONS);
+
   const unformatted: string[] = [];
-  const lines = output.split('\n');
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    // Skip header lines, empty lines, and status messages
-    if (
-      !trimmed ||
-      trimmed.startsWith('Checking') ||
-      trimmed.startsWith('All') ||
-      trimmed.startsWith('[')
-    ) {
-      continue;
+  for (const file of targets) {
+    try {
+      if (await isIgnored(file, cwd)) {
+        continue;
+      }
+
+      const source = await readFile(file, 'utf8');
+      const formatted = await formatSource(file, source);
+      if (formatted !== source) {
+        unformatted.push(file);
+        if (write) {
+          await writeFile(file, formatted);
+        }
+      }
+    } catch (error) {
+      // Files Prettier can't parse are skipped, as with the CLI
+      console.error('Prettier error:', error);
     }
-    unformatted.push(trimmed);
   }
 
-  return unformatted;
+  return { unformatted };
 }
 
-export async function runPrettier(targetPath: string, write: boolean): Promise<PrettierResult> {
-  const resolvedPath = resolve(targetPath);
-  const prettierBin = resolve(__dirname, '../../node_modules/.bin/prettier');
+type StructuredHunk = ReturnType<typeof structuredPatch>['hunks'][number];
+
+function toHunk(file: string, sourceLines: string[], patchHunk: StructuredHunk): PrettierHunk {
+  const removed = patchHunk.lines.filter((l) => l.startsWith('-')).map((l) => l.slice(1));
+  const added = patchHunk.lines.filter((l) => l.startsWith('+')).map((l) => l.slice(1));
+
+  if (removed.length > 0) {
+    return {
+      file,
+      startLine: patchHunk.oldStart,
+      endLine: patchHunk.oldStart + removed.length - 1,
+      replacement: added.join('\n'),
+    };
+  }
 
-  const args = [getGlobPattern(resolvedPath)];
-  args.push(write ? '--write' : '--check');
-  args.push('--ignore-unknown');
+  // Pure insertion: oldStart is the line the text goes before, so anchor it to the
+  // line before that, or prepend it to the first line at the top of the file
+  const atTop = patchHunk.oldStart <= 1;
+  const anchor = atTop ? 1 : patchHunk.oldStart - 1;
+  const anchorText = sourceLines[anchor - 1] ?? '';
+  const replacement = atTop ? [...added, anchorText] : [anchorText, ...added];
+
+  return { file, startLine: anchor, endLine: anchor, replacement: replacement.join('\n') };
+}
+
+/**
+ * Format source text in memory as Prettier would format filePath. Files Prettier
+ * isn't run on are returned unchanged.
+ */
+export async function formatSource(filePath: string, source: string): Promise<string> {
+  if (!isSupportedFile(filePath)) {
+    return source;
+  }
+  const options = await resolveConfig(filePath, { editorconfig: true });
+  return format(source, { ...options, filepath: filePath });
+}
 
+/**
+ * Format a file in memory with the Prettier API and return one hunk per changed
+ * region, so callers can see exactly what `--write` would change.
+ */
+export async function getPrettierHunks(filePath: string): Promise<PrettierHunk[]> {
   try {
-    const { stdout, stderr, exitCode } = await execa(prettierBin, args, {
-      reject: false,
-      cwd: getWorkingDirectory(resolvedPath),
-    });
+    const source = await readFile(filePath, 'utf8');
+    const formatted = await formatSource(filePath, source);
 
-    if (exitCode === 0) {
-      return { unformatted: [] };
+    if (formatted === source) {
+      return [];
     }
 
-    const output = stdout || stderr || '';
-    return { unformatted: parseUnformattedFiles(output) };
+    const patch = structuredPatch(filePath, filePath, source, formatted, '', '', { context: 0 });
+    const sourceLines = source.split('\n');
+    return patch.hunks.map((hunk) => toHunk(filePath, sourceLines, hunk));
   } catch (error) {
     console.error('Prettier error:', error);
-    return { unformatted: [] };
+    return [];
   }
 }
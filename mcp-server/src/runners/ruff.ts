@@ -0,0 +1,190 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+import { execa } from 'execa';
+
+import { filterByExtension } from '../utils/changed-files.js';
+import { findUpDirectory, getWorkingDirectory } from '../utils/paths.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Path to our bundled ruff config
+export const RUFF_CONFIG_PATH = resolve(__dirname, '../../configs/ruff.toml');
+
+export const PYTHON_EXTENSIONS = ['.py', '.pyi'];
+
+export interface RuffLocation {
+  row: number;
+  column: number;
+}
+
+export interface RuffMessage {
+  code: string | null;
+  message: string;
+  filename: string;
+  location: RuffLocation;
+  end_location: RuffLocation;
+  fix: {
+    applicability: 'safe' | 'unsafe' | 'display-only';
+    message: string | null;
+    edits: {
+      content: string;
+      location: RuffLocation;
+      end_location: RuffLocation;
+    }[];
+  } | null;
+  url: string | null;
+}
+
+function hasConfigFile(directory: string): boolean {
+  if (existsSync(join(directory, 'ruff.toml')) || existsSync(join(directory, '.ruff.toml'))) {
+    return true;
+  }
+
+  const pyproject = join(directory, 'pyproject.toml');
+  return existsSync(pyproject) && readFileSync(pyproject, 'utf8').includes('[tool.ruff');
+}
+
+// ruff reads the nearest of these configs at or above each file, so look upwards too
+function hasOwnConfig(directory: string): boolean {
+  return findUpDirectory(directory, hasConfigFile) !== undefined;
+}
+
+export interface RuffFormatResult {
+  unformatted: string[];
+}
+
+let ruffVersion: Promise<string> | undefined;
+
+/**
+ * The installed ruff version (e.g. "ruff 0.8.0"), looked up once per process.
+ */
+export function getRuffVersion(): Promise<string> {
+  ruffVersion ??= execa('ruff', ['--version'], { reject: false }).then(({ stdout }) =>
+    stdout.trim()
+  );
+  return ruffVersion;
+}
+
+export interface RuffRule {
+  name: string;
+  code: string;
+  linter: string;
+  summary: string;
+  // e.g. "Fix is always available."
+  fix: string;
+  explanation: string;
+}
+
+/**
+ * ruff's own documentation for a rule code (`ruff rule <code>`), or undefined when
+ * ruff doesn't know the code or isn't installed.
+ */
+export async function explainRuffRule(code: string): Promise<RuffRule | undefined> {
+  try {
+    const { stdout, exitCode } = await execa('ruff', ['rule', code, '--output-format', 'json'], {
+      reject: false,
+    });
+    return exitCode === 0 ? (JSON.parse(stdout) as RuffRule) : undefined;
+  } catch (error) {
+    console.error('Ruff error:', error);
+    return undefined;
+  }
+}
+
+function getConfigArgs(cwd: string): string[] {
+  // Use the project's ruff settings if it has any, otherwise our bundled config
+  if (!hasOwnConfig(cwd) && existsSync(RUFF_CONFIG_PATH)) {
+    return ['--config', RUFF_CONFIG_PATH];
+  }
+  return [];
+}
+
+export async function runRuff(
+  targetPath: string,
+  fix: boolean,
+  files?: string[],
+  // Rule codes whose fixes aren't applied, e.g. to fix only some rules
+  unfixable: string[] = []
+): Promise<RuffMessage[]> {
+  const resolvedPath = resolve(targetPath);
+  const cwd = getWorkingDirectory(resolvedPath);
+
+  // When scoped to a file list, only check Python files
+  const targets = files ? filterByExtension(files, PYTHON_EXTENSIONS) : [resolvedPath];
+  if (targets.length === 0) {
+    return [];
+  }
+
+  // --force-exclude keeps ruff's excludes in effect for explicitly listed files
+  const args = ['check', ...targets, '--output-format', 'json', '--exit-zero', '--force-exclude'];
+  args.push(...getConfigArgs(cwd));
+  args.push(fix ? '--fix' : '--no-fix');
+  if (unfixable.length > 0) {
+    args.push('--unfixable', unfixable.join(','));
+  }
+
+  try {
+    const { stdout } = await execa('ruff', args, {
+      reject: false,
+      cwd,
+    });
+
+    if (!stdout || stdout.trim() === '') {
+      return [];
+    }
+
+    return JSON.parse(stdout) as RuffMessage[];
+  } catch (error) {
+    // If ruff is missing or fails completely, return empty results
+    console.error('Ruff error:', error);
+    return [];
+  }
+}
+
+function parseUnformattedFiles(output: string, cwd: string): string[] {
+  const prefix = 'Would reformat: ';
+
+  return output
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith(prefix))
+    .map((line) => resolve(cwd, line.slice(prefix.length)));
+}
+
+export async function runRuffFormat(
+  targetPath: string,
+  write: boolean,
+  files?: string[]
+): Promise<RuffFormatResult> {
+  const resolvedPath = resolve(targetPath);
+  const cwd = getWorkingDirectory(resolvedPath);
+
+  const targets = files ? filterByExtension(files, PYTHON_EXTENSIONS) : [resolvedPath];
+  if (targets.length === 0) {
+    return { unformatted: [] };
+  }
+
+  const args = ['format', ...targets, '--force-exclude', ...getConfigArgs(cwd)];
+  if (!write) {
+    args.push('--check');
+  }
+
+  try {
+    const { stdout, exitCode } = await execa('ruff', args, {
+      reject: false, // `ruff format --check` exits with 1 when files would change
+      cwd,
+    });
+
+    if (write || exitCode === 0) {
+      return { unformatted: [] };
+    }
+
+    return { unformatted: parseUnformattedFiles(stdout, cwd) };
+  } catch (error) {
+    console.error('Ruff format error:', error);
+    return { unformatted: [] };
+  }
+}
@@ -0,0 +1,157 @@
+import { existsSync } from 'fs';
+import { createRequire } from 'module';
+import { dirname, join, resolve } from 'path';
+
+import { execa } from 'execa';
+
+import { findUpDirectory, getWorkingDirectory } from '../utils/paths.js';
+
+// e.g. "src/app.ts(12,5): error TS2345: Argument of type 'string' is not assignable to ..."
+const TSC_LINE_PATTERN = /^(.+?)\((\d+),(\d+)\): (error|warning) TS(\d+): (.*)$/;
+
+export interface TscMessage {
+  file: string;
+  line: number;
+  column: number;
+  severity: 'error' | 'warning';
+  // The diagnostic number, e.g. 2345 for TS2345
+  code: number;
+  message: string;
+}
+
+/**
+ * The rule a diagnostic is reported under, e.g. ts(2345), as editors show it.
+ */
+export function toTscRule(code: number): string {
+  return `ts(${code})`;
+}
+
+// e.g. ts(2345)
+const TSC_RULE_PATTERN = /^ts\(\d+\)$/;
+
+/**
+ * Whether rule is a TypeScript compiler diagnostic, as toTscRule names them.
+ */
+export function isTscRule(rule: string): boolean {
+  return TSC_RULE_PATTERN.test(rule);
+}
+
+/**
+ * The tsconfig.json that applies to targetPath: the nearest one at or above it.
+ */
+export function findTsconfig(targetPath: string): string | undefined {
+  const directory = findUpDirectory(getWorkingDirectory(resolve(targetPath)), (d) =>
+    existsSync(join(d, 'tsconfig.json'))
+  );
+  return directory === undefined ? undefined : join(directory, 'tsconfig.json');
+}
+
+function parseTscOutput(output: string, cwd: string): TscMessage[] {
+  const messages: TscMessage[] = [];
+
+  for (const line of output.split('\n')) {
+    const match = TSC_LINE_PATTERN.exec(line.trimEnd());
+    if (match) {
+      const [, file, lineNumber, column, severity, code, text] = match;
+      messages.push({
+        file: resolve(cwd, file),
+        line: Number(lineNumber),
+        column: Number(column),
+        severity: severity as TscMessage['severity'],
+        code: Number(code),
+        message: text,
+      });
+      continue;
+    }
+
+    // Indented lines continue the previous diagnostic's message chain
+    const previous = messages.at(-1);
+    if (previous && line.startsWith(' ')) {
+      previous.message += `\n${line.trim()}`;
+    }
+  }
+
+  return messages;
+}
+
+// Resolves from this package, which depends on typescript
+const require = createRequire(import.meta.url);
+
+/**
+ * The TypeScript compiler (typescript/bin/tsc) to check targetPath's project with:
+ * the project's own TypeScript when it has one, otherwise ours. Undefined when
+ * there is no tsconfig.json or no compiler to be found.
+ */
+export function findTsc(targetPath: string): string | undefined {
+  const tsconfig = findTsconfig(targetPath);
+  if (!tsconfig) {
+    return undefined;
+  }
+
+  for (const resolver of [createRequire(tsconfig), require]) {
+    try {
+      return resolver.resolve('typescript/bin/tsc');
+    } catch {
+      // Not installed there; try the next one
+    }
+  }
+  return undefined;
+}
+
+interface DiagnosticMessage {
+  code: number;
+  message: string;
+}
+
+/**
+ * The message tsc reports rule (e.g. ts(2345)) with, placeholders and all, when
+ * our TypeScript knows the diagnostic.
+ */
+export function getTscMessage(rule: string): string | undefined {
+  const code = Number(rule.slice('ts('.length, -1));
+  try {
+    // Not public API, but the compiler keeps its message table on the module
+    const { Diagnostics = {} } = require('typescript') as {
+      Diagnostics?: Record<string, DiagnosticMessage>;
+    };
+    return Object.values(Diagnostics).find((d) => d.code === code)?.message;
+  } catch (error) {
+    console.error('Tsc error:', error);
+    return undefined;
+  }
+}
+
+/**
+ * Type-check the project targetPath belongs to with `tsc --noEmit`, using the
+ * nearest tsconfig.json and the project's own TypeScript when it has one. The
+ * whole project is checked, since a file's types depend on the files it imports.
+ */
+export async function runTsc(targetPath: string): Promise<TscMessage[]> {
+  const tsconfig = findTsconfig(targetPath);
+  if (!tsconfig) {
+    return [];
+  }
+
+  const tsc = findTsc(targetPath);
+  if (!tsc) {
+    throw new Error(`TypeScript compiler not found for ${tsconfig}`);
+  }
+
+  const cwd = dirname(tsconfig);
+  try {
+    const { stdout } = await execa(
+      process.execPath,
+      [tsc, '--noEmit', '--pretty', 'false', '--project', tsconfig],
+      {
+        reject: false, // tsc exits with non-zero when there are type errors
+        cwd,
+      }
+    );
+
+    return parseTscOutput(stdout, cwd);
+  } catch (error) {
+    // If tsc fails completely, return empty results
+    console.error('Tsc error:', error);
+    return [];
+  }
+}
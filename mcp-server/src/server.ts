@@ -1,10 +1,340 @@
 #!/usr/bin/env node
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  Tool,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
 
+import { formatLintResult, ReportOptions } from './formatters/report.js';
+import { isConfigUri, listConfigResources, readConfigResource } from './resources/configs.js';
+import {
+  isReportUri,
+  listReportResources,
+  readReportResource,
+  REPORT_TEMPLATE,
+  reportUri,
+  saveReport,
+} from './resources/reports.js';
+import { baseline, BaselineInput } from './tools/baseline.js';
+import { explainRule, ExplainRuleInput } from './tools/explain-rule.js';
 import { fix, FixInput } from './tools/fix.js';
-import { lint, LintInput } from './tools/lint.js';
+import { lint, LintInput, LintResult } from './tools/lint.js';
+import { metrics, MetricsInput } from './tools/metrics.js';
+import { unwatch, watch, WatchInput, WatchListener } from './tools/watch.js';
+
+const TOOLS: Tool[] = [
+  {
+    name: 'lint',
+    description:
+      'Run linters on a project and return structured issues. Returns errors categorized by fixability: auto-fixable (by linter tools), Claude-fixable (complexity, types), and manual-only. TypeScript projects with a tsconfig.json are also type-checked with tsc, whose errors are reported as ts(<code>) rules, e.g. ts(2345). Buckets can be overridden per rule or glob with a "fixability" map in the project .sca-mcp.json file.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Path to the project or file to lint',
+        },
+        language: {
+          type: 'string',
+          enum: ['typescript', 'python', 'markdown', 'auto'],
+          description:
+            'Language to lint (auto-detects every language in the project if not specified)',
+          default: 'auto',
+        },
+        since: {
+          type: 'string',
+          description:
+            'Only lint files changed since this git ref (e.g. "main", "HEAD~1"), including untracked files',
+        },
+        staged: {
+          type: 'boolean',
+          description: 'Only lint files with changes staged in the git index',
+          default: false,
+        },
+        changedLinesOnly: {
+          type: 'boolean',
+          description: 'With since/staged, only report issues on the changed lines',
+          default: false,
+        },
+        rules: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only report rules matching these globs (e.g. "sonarjs/*", "complexity")',
+        },
+        excludeRules: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Do not report rules matching these globs (e.g. "import/*")',
+        },
+        minSeverity: {
+          type: 'string',
+          enum: ['error', 'warning'],
+          description: 'Lowest severity to report ("error" hides warnings)',
+          default: 'warning',
+        },
+        onlyFixable: {
+          type: 'boolean',
+          description: 'Only report issues linter tools can auto-fix',
+          default: false,
+        },
+        onlyClaudeFixable: {
+          type: 'boolean',
+          description: 'Only report issues Claude can fix by refactoring (complexity, types)',
+          default: false,
+        },
+        maxIssues: {
+          type: 'number',
+          description:
+            'Maximum number of issues to return; the summary still counts every matching issue',
+        },
+        configMode: {
+          type: 'string',
+          enum: ['project', 'bundled', 'merged'],
+          description:
+            "ESLint config to use: the project's own, the bundled one, or the bundled one with the project's flat config layered on top. Defaults to the project config when there is one, otherwise the bundled config",
+        },
+        noCache: {
+          type: 'boolean',
+          description:
+            'Lint every file instead of reusing cached results for files unchanged since the last run. With type-aware or import-following ESLint rules enabled, any source change in the project discards the whole cache, so caching only saves time on runs where nothing changed',
+          default: false,
+        },
+        baseline: {
+          type: 'boolean',
+          description:
+            'Only report issues that are not recorded in the project .sca-baseline.json (see the baseline tool); summary.baselined counts the ones left out',
+          default: false,
+        },
+        format: {
+          type: 'string',
+          enum: ['json', 'sarif', 'junit', 'checkstyle'],
+          description:
+            'Report format: the default JSON result, SARIF 2.1.0 (with rule metadata and fixes), JUnit XML or Checkstyle XML. Other formats are returned as a "report" string alongside the summary',
+          default: 'json',
+        },
+        outputFile: {
+          type: 'string',
+          description: 'Write the report to this file instead of returning it',
+        },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'fix',
+    description:
+      'Run linter auto-fix on a project. This runs eslint --fix, prettier --write, markdownlint --fix, ruff check --fix, ruff format, etc. Only fixes issues that tools can auto-fix; Claude-fixable issues require separate handling.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Path to the project or file to fix',
+        },
+        language: {
+          type: 'string',
+          enum: ['typescript', 'python', 'markdown', 'auto'],
+          description:
+            'Language to fix (auto-detects every language in the project if not specified)',
+          default: 'auto',
+        },
+        since: {
+          type: 'string',
+          description:
+            'Only fix files changed since this git ref (e.g. "main", "HEAD~1"), including untracked files',
+        },
+        staged: {
+          type: 'boolean',
+          description: 'Only fix files with changes staged in the git index',
+          default: false,
+        },
+        rules: {
+          type: 'array',
+          items: { type: 'string' },
+          description:
+            'Only apply fixes from rules matching these globs (e.g. "import/*", "prefer-const"). Prettier counts as "prettier/prettier" and the Python formatter as "format"',
+        },
+        excludeRules: {
+          type: 'array',
+          items: { type: 'string' },
+          description:
+            'Do not apply fixes from rules matching these globs (e.g. "prettier/prettier")',
+        },
+        dryRun: {
+          type: 'boolean',
+          description:
+            'Preview ESLint and Prettier fixes as unified diffs without writing any files',
+          default: false,
+        },
+        configMode: {
+          type: 'string',
+          enum: ['project', 'bundled', 'merged'],
+          description:
+            "ESLint config to use: the project's own, the bundled one, or the bundled one with the project's flat config layered on top. Defaults to the project config when there is one, otherwise the bundled config",
+        },
+        noCache: {
+          type: 'boolean',
+          description:
+            'Fix every file instead of skipping files unchanged since they were last fixed. With type-aware or import-following ESLint rules enabled, any source change in the project discards the whole cache, so caching only saves time on runs where nothing changed',
+          default: false,
+        },
+        verify: {
+          type: 'boolean',
+          description:
+            'After fixing, type-check (tsc for TypeScript, mypy and ruff for Python) and restore the original contents of any fixed file that gained errors; the rolled-back files and their new errors are reported under verification',
+          default: false,
+        },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'baseline',
+    description:
+      'Snapshot the current lint issues under a path into .sca-baseline.json (at the git root unless one exists closer), so lint with baseline: true only reports new issues. Issues are fingerprinted by file, rule and the code on their line, so they survive line shifts. With prune, only issues that have since been fixed are removed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Path to the project or directory whose issues to record',
+        },
+        language: {
+          type: 'string',
+          enum: ['typescript', 'python', 'markdown', 'auto'],
+          description:
+            'Language to record (auto-detects every language in the project if not specified); other languages keep their baseline entries',
+          default: 'auto',
+        },
+        configMode: {
+          type: 'string',
+          enum: ['project', 'bundled', 'merged'],
+          description:
+            "ESLint config to use: the project's own, the bundled one, or the bundled one with the project's flat config layered on top. Defaults to the project config when there is one, otherwise the bundled config",
+        },
+        noCache: {
+          type: 'boolean',
+          description: 'Lint every file instead of reusing cached results',
+          default: false,
+        },
+        prune: {
+          type: 'boolean',
+          description: 'Shrink the existing baseline: drop fixed issues without adding new ones',
+          default: false,
+        },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'explain_rule',
+    description:
+      'Explain a lint rule (ESLint rule id, ruff code, markdownlint MD rule, tsc diagnostic such as ts(2345) or mypy error code such as arg-type): what it checks, its configured severity and options, its config category and Python counterpart, its fixability bucket, and a before/after example where available.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        rule: {
+          type: 'string',
+          description:
+            'Rule id as reported by lint (e.g. "sonarjs/cognitive-complexity", "C901", "ts(2345)", "arg-type")',
+        },
+        path: {
+          type: 'string',
+          description:
+            'Project whose ESLint or markdownlint config and .sca-mcp.json apply (defaults to the bundled config)',
+        },
+        configMode: {
+          type: 'string',
+          enum: ['project', 'bundled', 'merged'],
+          description:
+            "ESLint config to use: the project's own, the bundled one, or the bundled one with the project's flat config layered on top",
+        },
+      },
+      required: ['rule'],
+    },
+  },
+  {
+    name: 'metrics',
+    description:
+      'Measure every JavaScript/TypeScript function against the limits the ESLint config enforces: cyclomatic complexity, cognitive complexity, length, parameters and nesting depth, using the same rules as lint. Also reports per-file duplication, and ranks the functions furthest over (or closest to) their limits as hotspots to refactor first. A score of 1 means a function is at a limit.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Path to the project or file to measure',
+        },
+        configMode: {
+          type: 'string',
+          enum: ['project', 'bundled', 'merged'],
+          description:
+            "ESLint config whose limits apply: the project's own, the bundled one, or the bundled one with the project's flat config layered on top. Defaults to the project config when there is one, otherwise the bundled config",
+        },
+        maxHotspots: {
+          type: 'number',
+          description: 'Number of hotspots to return',
+          default: 10,
+        },
+        minScore: {
+          type: 'number',
+          description:
+            'Only list functions scoring at least this much, e.g. 0.8 for those within 20% of a limit; files with nothing to list are left out',
+          default: 0,
+        },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'watch',
+    description:
+      'Lint a project, then watch it for changes. Changed files are re-linted incrementally and their issues pushed as "sca-watch" log notifications, and the sca://report resource for the path is kept up to date, until unwatch is called. Returns a watchId.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Path to the project or file to watch',
+        },
+        language: {
+          type: 'string',
+          enum: ['typescript', 'python', 'markdown', 'auto'],
+          description:
+            'Language to lint (auto-detects every language in the project if not specified)',
+          default: 'auto',
+        },
+        configMode: {
+          type: 'string',
+          enum: ['project', 'bundled', 'merged'],
+          description:
+            "ESLint config to use: the project's own, the bundled one, or the bundled one with the project's flat config layered on top. Defaults to the project config when there is one, otherwise the bundled config",
+        },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'unwatch',
+    description: 'Stop a watch started with the watch tool.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        watchId: {
+          type: 'string',
+          description: 'The watchId returned by watch',
+        },
+      },
+      required: ['watchId'],
+    },
+  },
+];
 
 const server = new Server(
   {
@@ -14,59 +344,49 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      // Watch updates are sent as log messages
+      logging: {},
+      // Bundled configs and the last lint report per path
+      resources: { subscribe: true, listChanged: true },
     },
   }
 );
 
 // List available tools
 server.setRequestHandler(ListToolsRequestSchema, async () => {
+  return { tools: TOOLS };
+});
+
+// Resource URIs clients asked to be notified about
+const subscriptions = new Set<string>();
+
+async function publishReport(path: string, result: LintResult): Promise<void> {
+  if (saveReport(path, result)) {
+    await server.sendResourceListChanged();
+  }
+
+  const uri = reportUri(path);
+  if (subscriptions.has(uri)) {
+    await server.sendResourceUpdated({ uri });
+  }
+}
+
+const watchListener: WatchListener = {
+  onUpdate: (update) =>
+    server.sendLoggingMessage({ level: 'info', logger: 'sca-watch', data: update }),
+  onReport: publishReport,
+};
+
+function toolResult(result: unknown): { content: { type: 'text'; text: string }[] } {
   return {
-    tools: [
+    content: [
       {
-        name: 'lint',
-        description:
-          'Run linters on a project and return structured issues. Returns errors categorized by fixability: auto-fixable (by linter tools), Claude-fixable (complexity, types), and manual-only.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            path: {
-              type: 'string',
-              description: 'Path to the project or file to lint',
-            },
-            language: {
-              type: 'string',
-              enum: ['typescript', 'python', 'auto'],
-              description: 'Language to lint (auto-detects if not specified)',
-              default: 'auto',
-            },
-          },
-          required: ['path'],
-        },
-      },
-      {
-        name: 'fix',
-        description:
-          'Run linter auto-fix on a project. This runs eslint --fix, prettier --write, etc. Only fixes issues that tools can auto-fix; Claude-fixable issues require separate handling.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            path: {
-              type: 'string',
-              description: 'Path to the project or file to fix',
-            },
-            language: {
-              type: 'string',
-              enum: ['typescript', 'python', 'auto'],
-              description: 'Language to fix (auto-detects if not specified)',
-              default: 'auto',
-            },
-          },
-          required: ['path'],
-        },
+        type: 'text',
+        text: JSON.stringify(result, null, 2),
       },
     ],
   };
-});
+}
 
 // Handle tool calls
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
@@ -75,29 +395,23 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   try {
     switch (name) {
       case 'lint': {
-        const input = args as unknown as LintInput;
+        const input = args as unknown as LintInput & ReportOptions;
         const result = await lint(input);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
-      }
-      case 'fix': {
-        const input = args as unknown as FixInput;
-        const result = await fix(input);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        await publishReport(input.path, result);
+        return toolResult(await formatLintResult(input.path, result, input));
       }
+      case 'fix':
+        return toolResult(await fix(args as unknown as FixInput));
+      case 'baseline':
+        return toolResult(await baseline(args as unknown as BaselineInput));
+      case 'explain_rule':
+        return toolResult(await explainRule(args as unknown as ExplainRuleInput));
+      case 'metrics':
+        return toolResult(await metrics(args as unknown as MetricsInput));
+      case 'watch':
+        return toolResult(await watch(args as unknown as WatchInput, watchListener));
+      case 'unwatch':
+        return toolResult(unwatch((args as { watchId: string }).watchId));
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
@@ -115,6 +429,37 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 });
 
+// List bundled configs and lint reports
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  return { resources: [...listConfigResources(), ...listReportResources()] };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return { resourceTemplates: [REPORT_TEMPLATE] };
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+
+  if (isConfigUri(uri)) {
+    return { contents: [await readConfigResource(uri)] };
+  }
+  if (isReportUri(uri)) {
+    return { contents: [readReportResource(uri)] };
+  }
+  throw new Error(`Unknown resource: ${uri}`);
+});
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  subscriptions.add(request.params.uri);
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  subscriptions.delete(request.params.uri);
+  return {};
+});
+
 // Start the server
 async function main(): Promise<void> {
   const transport = new StdioServerTransport();
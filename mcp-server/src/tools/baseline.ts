@@ -0,0 +1,124 @@
+import { dirname, extname, resolve, sep } from 'path';
+
+import { EslintConfigMode } from '../runners/eslint-config.js';
+import {
+  BaselineEntry,
+  findBaselineFile,
+  fingerprintIssues,
+  loadBaseline,
+  saveBaseline,
+} from '../utils/baseline.js';
+import { Language } from '../utils/detect-language.js';
+import { getCachedExtensions } from '../utils/lint-cache.js';
+
+import { lint } from './lint.js';
+
+export interface BaselineInput {
+  path: string;
+  language?: Language | 'auto';
+  configMode?: EslintConfigMode;
+  noCache?: boolean;
+  // Only drop issues that have been fixed; never add new ones
+  prune?: boolean;
+}
+
+export interface BaselineResult {
+  baselineFile: string;
+  languages: Language[];
+  // Issues now in the baseline, and how many were added and removed
+  total: number;
+  added: number;
+  removed: number;
+}
+
+function countIssues(entries: Iterable<BaselineEntry>): number {
+  let total = 0;
+  for (const entry of entries) {
+    total += entry.count;
+  }
+  return total;
+}
+
+interface BaselineUpdate {
+  root: string;
+  path: string;
+  // Extensions of the languages that were linted
+  extensions: string[];
+  previous: Map<string, BaselineEntry>;
+  current: Map<string, BaselineEntry>;
+  prune: boolean;
+}
+
+function isInScope(update: BaselineUpdate, entry: BaselineEntry): boolean {
+  // Entries for other paths, or languages that weren't linted, are left alone
+  const file = resolve(update.root, entry.file);
+  const { path, extensions } = update;
+  return (file === path || file.startsWith(path + sep)) && extensions.includes(extname(file));
+}
+
+function nextEntry(update: BaselineUpdate, id: string): BaselineEntry | undefined {
+  const previous = update.previous.get(id);
+  const current = update.current.get(id);
+  if (previous && !isInScope(update, previous)) {
+    return previous;
+  }
+  if (!update.prune) {
+    return current;
+  }
+
+  const count = Math.min(previous?.count ?? 0, current?.count ?? 0);
+  return previous && count > 0 ? { ...previous, count } : undefined;
+}
+
+function applyUpdate(update: BaselineUpdate): {
+  entries: Map<string, BaselineEntry>;
+  added: number;
+  removed: number;
+} {
+  const entries = new Map<string, BaselineEntry>();
+  const ids = new Set([...update.previous.keys(), ...(update.prune ? [] : update.current.keys())]);
+  let added = 0;
+  let removed = 0;
+
+  for (const id of ids) {
+    const before = update.previous.get(id)?.count ?? 0;
+    const entry = nextEntry(update, id);
+    added += Math.max((entry?.count ?? 0) - before, 0);
+    removed += Math.max(before - (entry?.count ?? 0), 0);
+    if (entry) {
+      entries.set(id, entry);
+    }
+  }
+  return { entries, added, removed };
+}
+
+/**
+ * Record the current issues under path in the nearest .sca-baseline.json (see
+ * findBaselineFile), so `lint` with `baseline: true` only reports new ones. With
+ * prune, the baseline only shrinks: issues that have been fixed are dropped.
+ */
+export async function baseline(input: BaselineInput): Promise<BaselineResult> {
+  const path = resolve(input.path);
+  const { languages, issues } = await lint({
+    path,
+    language: input.language,
+    configMode: input.configMode,
+    noCache: input.noCache,
+  });
+
+  const baselineFile = findBaselineFile(path);
+  const root = dirname(baselineFile);
+  const update: BaselineUpdate = {
+    root,
+    path,
+    extensions: getCachedExtensions(languages),
+    previous: (await loadBaseline(baselineFile)) ?? new Map(),
+    current: (await fingerprintIssues(root, issues)).entries,
+    prune: input.prune ?? false,
+  };
+
+  const { entries, added, removed } = applyUpdate(update);
+
+  await saveBaseline(baselineFile, entries);
+  return { baselineFile, languages, total: countIssues(entries.values()), added, removed };
+}
@@ -0,0 +1,314 @@
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+
+import { Linter, Rule } from 'eslint';
+
+import {
+  ESLINT_CONFIG_PATH,
+  EslintConfigMode,
+  ResolvedEslintConfig,
+  resolveEslintConfig,
+} from '../runners/eslint-config.js';
+import { getEslintFileConfig } from '../runners/eslint.js';
+import {
+  findMarkdownlintConfig,
+  getMarkdownlintRuleUrl,
+  MARKDOWNLINT_CONFIG_PATH,
+  readMarkdownlintConfig,
+} from '../runners/markdownlint.js';
+import { getMypyErrorCode, MypyErrorCode } from '../runners/mypy.js';
+import { explainRuffRule } from '../runners/ruff.js';
+import { getTscMessage, isTscRule } from '../runners/tsc.js';
+import { findBucket } from '../utils/fixability.js';
+import { FixabilityBucket, loadProjectConfig } from '../utils/project-config.js';
+import { parseRuleAnnotations, RuleAnnotation } from '../utils/rule-annotations.js';
+import { getRuleExample, RuleExample } from '../utils/rule-examples.js';
+
+import { isClaudeFixable } from './lint.js';
+
+export interface ExplainRuleInput {
+  rule: string;
+  // Project whose ESLint or markdownlint config and .sca-mcp.json apply; defaults to
+  // the bundled config
+  path?: string;
+  configMode?: EslintConfigMode;
+}
+
+export interface RuleSetting {
+  severity: 'off' | 'warn' | 'error';
+  options: unknown[];
+}
+
+export interface RuleExplanation {
+  rule: string;
+  linter: 'eslint' | 'ruff' | 'markdownlint' | 'tsc' | 'mypy';
+  description?: string;
+  url?: string;
+  // Where the rule sits in the config, and the Python rules it mirrors
+  category?: string;
+  group?: string;
+  note?: string;
+  pythonEquivalent?: string;
+  // How source files (and, when different, test files) are configured
+  configured?: RuleSetting;
+  configuredForTests?: RuleSetting;
+  eslintConfig?: ResolvedEslintConfig;
+  // The markdownlint config file the setting was read from
+  markdownlintConfig?: string;
+  // Whether the linter can fix it by itself
+  autoFixable: boolean;
+  fixability: FixabilityBucket;
+  // Whether the bucket comes from the project's .sca-mcp.json
+  fixabilityOverridden: boolean;
+  example?: RuleExample;
+}
+
+const SEVERITIES: RuleSetting['severity'][] = ['off', 'warn', 'error'];
+
+interface RuleEquivalence {
+  getPythonEquivalents: (eslintRule: string) => string[];
+}
+
+// The ESLint to Python rule map our config package maintains, loaded on first use;
+// releases that predate it don't export it, and then no equivalents are reported
+let ruleEquivalence: RuleEquivalence | undefined;
+
+function loadRuleEquivalence(): RuleEquivalence {
+  try {
+    const require = createRequire(import.meta.url);
+    return require('@lint-configs/eslint-config/equivalence') as RuleEquivalence;
+  } catch (e) {
+    console.error('Rule equivalence error:', e);
+    return { getPythonEquivalents: () => [] };
+  }
+}
+
+function getPythonEquivalents(rule: string): string[] {
+  ruleEquivalence ??= loadRuleEquivalence();
+  return ruleEquivalence.getPythonEquivalents(rule);
+}
+
+const MARKDOWNLINT_RULE_PATTERN = /^MD\d{3}$/;
+const RUFF_CODE_PATTERN = /^[A-Z]+\d+$/;
+
+// Sample files, relative to the project, whose config is reported; the first one
+// the rule is configured for is used (JSX rules, say, only apply to .tsx files)
+const SOURCE_FILES = ['src/index.ts', 'src/index.tsx', 'src/index.js'];
+const TEST_FILE = 'src/index.test.ts';
+
+function toSetting(entry: Linter.RuleEntry | undefined): RuleSetting | undefined {
+  if (entry === undefined) {
+    return undefined;
+  }
+  const [severity, ...options] = Array.isArray(entry) ? entry : [entry];
+  return {
+    severity: typeof severity === 'number' ? (SEVERITIES.at(severity) ?? 'off') : severity,
+    options,
+  };
+}
+
+async function getOverrides(path?: string): Promise<Record<string, FixabilityBucket>> {
+  return path ? ((await loadProjectConfig(path)).fixability ?? {}) : {};
+}
+
+function getBucket(
+  rule: string,
+  autoFixable: boolean,
+  overrides: Record<string, FixabilityBucket>
+): Pick<RuleExplanation, 'fixability' | 'fixabilityOverridden'> {
+  const override = findBucket(rule, overrides);
+  if (override) {
+    return { fixability: override, fixabilityOverridden: true };
+  }
+
+  if (autoFixable) {
+    return { fixability: 'auto', fixabilityOverridden: false };
+  }
+  return { fixability: isClaudeFixable(rule) ? 'claude' : 'manual', fixabilityOverridden: false };
+}
+
+async function getAnnotation(
+  rule: string,
+  config: ResolvedEslintConfig
+): Promise<RuleAnnotation | undefined> {
+  // Project configs rarely carry our annotations, so fall back to the bundled config's
+  const files = [...new Set([config.projectFile ?? config.file, ESLINT_CONFIG_PATH])];
+
+  for (const file of files) {
+    const annotation = parseRuleAnnotations(await readFile(file, 'utf8')).get(rule);
+    if (annotation) {
+      return annotation;
+    }
+  }
+  return undefined;
+}
+
+async function getEslintSettings(
+  path: string,
+  rule: string,
+  config: ResolvedEslintConfig
+): Promise<
+  { meta?: Rule.RuleMetaData } & Pick<RuleExplanation, 'configured' | 'configuredForTests'>
+> {
+  const configs = await Promise.all(
+    SOURCE_FILES.map((file) => getEslintFileConfig(path, file, config))
+  );
+  const source = configs.find((c) => c.rules.has(rule)) ?? configs[0];
+  const tests = await getEslintFileConfig(path, TEST_FILE, config);
+
+  const configured = toSetting(source.rules.get(rule));
+  const configuredForTests = toSetting(tests.rules.get(rule));
+  const testsDiffer = JSON.stringify(configuredForTests) !== JSON.stringify(configured);
+
+  return {
+    meta: source.getRuleMeta(rule),
+    configured,
+    configuredForTests: testsDiffer ? configuredForTests : undefined,
+  };
+}
+
+function describe(
+  rule: string,
+  meta: Rule.RuleMetaData | undefined,
+  annotation: RuleAnnotation | undefined
+): Partial<RuleExplanation> {
+  const pythonEquivalents = getPythonEquivalents(rule);
+  return {
+    description: meta?.docs?.description,
+    url: meta?.docs?.url,
+    category: annotation?.category,
+    group: annotation?.group,
+    note: annotation?.note,
+    pythonEquivalent: pythonEquivalents.length > 0 ? pythonEquivalents.join(', ') : undefined,
+  };
+}
+
+async function explainEslintRule(
+  input: ExplainRuleInput,
+  overrides: Record<string, FixabilityBucket>
+): Promise<RuleExplanation> {
+  const { rule } = input;
+  const path = input.path ?? process.cwd();
+  // Without a project, explain the bundled config
+  const configMode = input.configMode ?? (input.path ? undefined : 'bundled');
+  const config = resolveEslintConfig(path, configMode);
+
+  const { meta, ...settings } = await getEslintSettings(path, rule, config);
+  if (!meta && !settings.configured) {
+    throw new Error(`Unknown rule: ${rule}`);
+  }
+
+  const autoFixable = meta?.fixable !== undefined;
+  return {
+    rule,
+    linter: 'eslint',
+    ...describe(rule, meta, await getAnnotation(rule, config)),
+    ...settings,
+    eslintConfig: config,
+    autoFixable,
+    ...getBucket(rule, autoFixable, overrides),
+    example: getRuleExample(rule),
+  };
+}
+
+async function explainRuffCode(
+  code: string,
+  overrides: Record<string, FixabilityBucket>
+): Promise<RuleExplanation> {
+  const ruffRule = await explainRuffRule(code);
+  if (!ruffRule) {
+    throw new Error(`Unknown rule: ${code} (is ruff installed?)`);
+  }
+
+  const autoFixable = !ruffRule.fix.includes('not available');
+  return {
+    rule: code,
+    linter: 'ruff',
+    description: `${ruffRule.name}: ${ruffRule.summary}`,
+    url: `https://docs.astral.sh/ruff/rules/${ruffRule.name}/`,
+    category: ruffRule.linter,
+    note: ruffRule.explanation,
+    autoFixable,
+    ...getBucket(code, autoFixable, overrides),
+    example: getRuleExample(code),
+  };
+}
+
+async function explainMarkdownlintRule(
+  input: ExplainRuleInput,
+  overrides: Record<string, FixabilityBucket>
+): Promise<RuleExplanation> {
+  const { rule } = input;
+  // Without a project, explain the bundled config
+  const file = input.path ? findMarkdownlintConfig(input.path) : MARKDOWNLINT_CONFIG_PATH;
+  const config = new Map(Object.entries(await readMarkdownlintConfig(file)));
+  const value: unknown = config.get(rule) ?? config.get('default') ?? true;
+
+  return {
+    rule,
+    linter: 'markdownlint',
+    url: getMarkdownlintRuleUrl(rule),
+    configured: {
+      severity: value === false ? 'off' : 'error',
+      options: typeof value === 'object' ? [value] : [],
+    },
+    markdownlintConfig: file,
+    // Whether markdownlint can fix it depends on the rule and the violation
+    autoFixable: false,
+    ...getBucket(rule, false, overrides),
+  };
+}
+
+function explainTscRule(
+  rule: string,
+  overrides: Record<string, FixabilityBucket>
+): RuleExplanation {
+  return {
+    rule,
+    linter: 'tsc',
+    description: getTscMessage(rule),
+    // Like mypy, tsc has no auto-fix; its errors need the code's types understood
+    autoFixable: false,
+    ...getBucket(rule, false, overrides),
+  };
+}
+
+function explainMypyCode(
+  code: MypyErrorCode,
+  overrides: Record<string, FixabilityBucket>
+): RuleExplanation {
+  return {
+    rule: code.code,
+    linter: 'mypy',
+    description: code.description,
+    url: code.url,
+    note: code.optional ? 'Only reported when enabled, e.g. by --strict' : undefined,
+    autoFixable: false,
+    ...getBucket(code.code, false, overrides),
+  };
+}
+
+/**
+ * Explain a lint rule: what it checks, how the config sets it up, what it mirrors
+ * on the Python side, who can fix it, and an example fix where we have one.
+ */
+export async function explainRule(input: ExplainRuleInput): Promise<RuleExplanation> {
+  const overrides = await getOverrides(input.path);
+
+  if (MARKDOWNLINT_RULE_PATTERN.test(input.rule)) {
+    return explainMarkdownlintRule(input, overrides);
+  }
+  if (RUFF_CODE_PATTERN.test(input.rule)) {
+    return explainRuffCode(input.rule, overrides);
+  }
+  if (isTscRule(input.rule)) {
+    return explainTscRule(input.rule, overrides);
+  }
+
+  // mypy codes (e.g. arg-type) share no names with ESLint's core rules
+  const mypyCode = getMypyErrorCode(input.rule);
+  if (mypyCode) {
+    return explainMypyCode(mypyCode, overrides);
+  }
+  return explainEslintRule(input, overrides);
+}
@@ -1,93 +1,352 @@
-import { runEslint } from '../runners/eslint.js';
-import { runPrettier } from '../runners/prettier.js';
+import { runBlack, usesBlack } from '../runners/black.js';
+import {
+  EslintConfigMode,
+  ResolvedEslintConfig,
+  resolveEslintConfig,
+} from '../runners/eslint-config.js';
+import { runEslintFix } from '../runners/eslint.js';
+import { runMarkdownlint, MarkdownlintMessage } from '../runners/markdownlint.js';
+import { PRETTIER_RULE, runPrettier } from '../runners/prettier.js';
+import { runRuff, runRuffFormat, RuffMessage } from '../runners/ruff.js';
+import { ChangeScope, getChangedFiles, isScoped } from '../utils/changed-files.js';
+import { Language, resolveLanguages } from '../utils/detect-language.js';
+import { FileDiff, previewFixes } from '../utils/dry-run.js';
+import { IssueFilter, matchesRules } from '../utils/filter-issues.js';
+import {
+  CacheStats,
+  getCacheKey,
+  getCachedExtensions,
+  hashFile,
+  lookup,
+  openCache,
+  saveCache,
+  store,
+} from '../utils/lint-cache.js';
+import { listFiles } from '../utils/list-files.js';
+import { Verification, verifyFixes } from '../utils/verify-fixes.js';
 
-export interface FixInput {
+export interface FixInput extends ChangeScope, Pick<IssueFilter, 'rules' | 'excludeRules'> {
   path: string;
-  language?: 'typescript' | 'python' | 'auto';
+  language?: Language | 'auto';
+  dryRun?: boolean;
+  // Which ESLint config to use; defaults to the project's, falling back to ours
+  configMode?: EslintConfigMode;
+  // Run the fixers on every file, ignoring (and not updating) the cache
+  noCache?: boolean;
+  // Type-check after fixing and undo the fixes to files that gained errors
+  verify?: boolean;
 }
 
 export interface FixResult {
+  languages: Language[];
+  // The ESLint config that was used, when TypeScript was fixed
+  eslintConfig?: ResolvedEslintConfig;
   fixed: {
     eslint: number;
     prettier: number;
+    markdownlint: number;
+    ruff: number;
+    format: number;
     total: number;
   };
+  // Fixes applied per rule; Prettier's count as prettier/prettier and the Python
+  // formatter's as format, so both can be selected like any other rule
+  byRule: Record<string, number>;
   files: string[];
+  diffs?: FileDiff[];
+  // Files skipped as already fixed, and files the fixers ran on
+  cache?: CacheStats;
+  // With verify; the fixed counts still include the fixes that were rolled back
+  verification?: Verification;
 }
 
-export async function fix(input: FixInput): Promise<FixResult> {
-  const { path, language = 'auto' } = input;
-
-  const fixedFiles = new Set<string>();
-  let eslintFixed = 0;
-  let prettierFixed = 0;
-
-  // Determine language
-  const detectedLanguage = language === 'auto' ? detectLanguage(path) : language;
-
-  if (detectedLanguage === 'typescript' || detectedLanguage === 'auto') {
-    // Run ESLint with --fix
-    const eslintBefore = await runEslint(path, false);
-    const beforeCount = eslintBefore.reduce(
-      (sum, f) => sum + f.messages.filter((m) => m.fix !== undefined).length,
-      0
-    );
-
-    await runEslint(path, true);
-
-    const eslintAfter = await runEslint(path, false);
-    const afterCount = eslintAfter.reduce(
-      (sum, f) => sum + f.messages.filter((m) => m.fix !== undefined).length,
-      0
-    );
-
-    eslintFixed = beforeCount - afterCount;
-
-    // Track files that were fixed
-    for (const file of eslintBefore) {
-      const afterFile = eslintAfter.find((f) => f.filePath === file.filePath);
-      if (afterFile && file.messages.length > afterFile.messages.length) {
-        fixedFiles.add(file.filePath);
-      }
+// What a fix run applies to, and where the fixers record what they changed
+interface FixRun {
+  path: string;
+  files?: string[];
+  selectRule: (rule: string) => boolean;
+  fixedFiles: Set<string>;
+  byRule: Map<string, number>;
+}
+
+// How fixes by the Python formatter (Black or ruff format) are counted and selected
+const FORMAT_RULE = 'format';
+
+function countByRule<T>(messages: T[], getRule: (message: T) => string): Map<string, number> {
+  const counts = new Map<string, number>();
+  for (const message of messages) {
+    const rule = getRule(message);
+    counts.set(rule, (counts.get(rule) ?? 0) + 1);
+  }
+  return counts;
+}
+
+function recordFixed(run: FixRun, rule: string, count: number): number {
+  if (count > 0) {
+    run.byRule.set(rule, (run.byRule.get(rule) ?? 0) + count);
+  }
+  return count;
+}
+
+function recordFixedByRule(
+  run: FixRun,
+  before: Map<string, number>,
+  after: Map<string, number>
+): number {
+  let total = 0;
+  for (const [rule, count] of before) {
+    total += recordFixed(run, rule, Math.max(count - (after.get(rule) ?? 0), 0));
+  }
+  return total;
+}
+
+async function fixEslint(run: FixRun, eslintConfig: ResolvedEslintConfig): Promise<number> {
+  // Run ESLint with fix enabled; it counts the fixes it applies in the same pass
+  const { fixed, fixedByRule, fixedFiles } = await runEslintFix(
+    run.path,
+    run.files,
+    eslintConfig,
+    run.selectRule
+  );
+
+  for (const file of fixedFiles) {
+    run.fixedFiles.add(file);
+  }
+  for (const [rule, count] of fixedByRule) {
+    recordFixed(run, rule, count);
+  }
+
+  return fixed;
+}
+
+async function fixPrettier(run: FixRun): Promise<number> {
+  // Format in place; every file that was unformatted has now been written
+  const { unformatted } = await runPrettier(run.path, true, run.files);
+
+  for (const file of unformatted) {
+    run.fixedFiles.add(file);
+  }
+
+  return recordFixed(run, PRETTIER_RULE, unformatted.length);
+}
+
+async function fixMarkdownlint(run: FixRun): Promise<number> {
+  const { path, files, selectRule } = run;
+  const getRule = (m: MarkdownlintMessage): string => m.ruleNames[0];
+  const isFixable = (m: MarkdownlintMessage): boolean =>
+    m.fixInfo !== null && selectRule(getRule(m));
+
+  // Run markdownlint with --fix, with the rules that weren't selected turned off
+  const messages = await runMarkdownlint(path, false, files);
+  const before = messages.filter(isFixable);
+  if (before.length === 0) {
+    return 0;
+  }
+  const disabled = new Set(messages.map(getRule).filter((rule) => !selectRule(rule)));
+  await runMarkdownlint(path, true, files, Array.from(disabled));
+  const after = (await runMarkdownlint(path, false, files)).filter(isFixable);
+
+  for (const msg of before) {
+    if (!after.some((m) => m.fileName === msg.fileName)) {
+      run.fixedFiles.add(msg.fileName);
     }
+  }
 
-    // Run Prettier with --write
-    const prettierBefore = await runPrettier(path, false);
-    await runPrettier(path, true);
-    const prettierAfter = await runPrettier(path, false);
+  return recordFixedByRule(run, countByRule(before, getRule), countByRule(after, getRule));
+}
+
+async function fixRuff(run: FixRun): Promise<number> {
+  const { path, files, selectRule } = run;
+  const getRule = (m: RuffMessage): string => m.code ?? 'syntax-error';
+  const isFixable = (m: RuffMessage): boolean =>
+    m.fix?.applicability === 'safe' && selectRule(getRule(m));
 
-    prettierFixed = prettierBefore.unformatted.length - prettierAfter.unformatted.length;
+  // Run ruff check with --fix, leaving the rules that weren't selected unfixed
+  const ruffBefore = await runRuff(path, false, files);
+  const unfixable = new Set(ruffBefore.map(getRule).filter((rule) => !selectRule(rule)));
+  await runRuff(path, true, files, Array.from(unfixable));
+  const ruffAfter = await runRuff(path, false, files);
 
-    for (const file of prettierBefore.unformatted) {
-      if (!prettierAfter.unformatted.includes(file)) {
-        fixedFiles.add(file);
-      }
+  const afterCounts = countByRule(ruffAfter, (m) => m.filename);
+  for (const [file, count] of countByRule(ruffBefore, (m) => m.filename)) {
+    if (count > (afterCounts.get(file) ?? 0)) {
+      run.fixedFiles.add(file);
     }
   }
 
-  // TODO: Add Python support (ruff --fix)
+  return recordFixedByRule(
+    run,
+    countByRule(ruffBefore.filter(isFixable), getRule),
+    countByRule(ruffAfter.filter(isFixable), getRule)
+  );
+}
+
+async function fixPython(run: FixRun): Promise<{ ruff: number; format: number }> {
+  const ruff = await fixRuff(run);
+  if (!run.selectRule(FORMAT_RULE)) {
+    return { ruff, format: 0 };
+  }
+
+  // Run the formatter: Black if the project configures it, otherwise ruff format
+  const { path, files } = run;
+  const runFormatter = usesBlack(path) ? runBlack : runRuffFormat;
+  const formatBefore = await runFormatter(path, false, files);
+  await runFormatter(path, true, files);
+  const formatAfter = await runFormatter(path, false, files);
+
+  for (const file of formatBefore.unformatted) {
+    if (!formatAfter.unformatted.includes(file)) {
+      run.fixedFiles.add(file);
+    }
+  }
+
+  const format = formatBefore.unformatted.length - formatAfter.unformatted.length;
+  return { ruff, format: recordFixed(run, FORMAT_RULE, format) };
+}
+
+async function dryRunFix(
+  path: string,
+  languages: Language[],
+  files: string[] | undefined,
+  eslintConfig: ResolvedEslintConfig | undefined,
+  selectRule: (rule: string) => boolean
+): Promise<FixResult> {
+  // Only ESLint and Prettier can be applied in memory; the other fixers are skipped
+  const preview = await previewFixes(path, {
+    eslint: eslintConfig,
+    prettier: languages.includes('typescript') || languages.includes('markdown'),
+    files,
+    selectRule,
+  });
 
   return {
+    languages,
+    eslintConfig,
     fixed: {
-      eslint: eslintFixed,
-      prettier: prettierFixed,
-      total: eslintFixed + prettierFixed,
+      eslint: preview.eslint,
+      prettier: preview.prettier,
+      markdownlint: 0,
+      ruff: 0,
+      format: 0,
+      total: preview.eslint + preview.prettier,
     },
-    files: Array.from(fixedFiles),
+    byRule: preview.byRule,
+    files: preview.diffs.map((d) => d.file),
+    diffs: preview.diffs,
   };
 }
 
-function detectLanguage(path: string): 'typescript' | 'python' | 'auto' {
-  if (
-    path.endsWith('.ts') ||
-    path.endsWith('.tsx') ||
-    path.endsWith('.js') ||
-    path.endsWith('.jsx')
-  ) {
-    return 'typescript';
+async function runFixers(
+  path: string,
+  languages: Language[],
+  files: string[] | undefined,
+  eslintConfig: ResolvedEslintConfig | undefined,
+  selectRule: (rule: string) => boolean = () => true
+): Promise<FixResult> {
+  const run: FixRun = { path, files, selectRule, fixedFiles: new Set(), byRule: new Map() };
+  const fixed = { eslint: 0, prettier: 0, markdownlint: 0, ruff: 0, format: 0 };
+
+  if (eslintConfig) {
+    fixed.eslint = await fixEslint(run, eslintConfig);
+  }
+
+  if (languages.includes('markdown')) {
+    fixed.markdownlint = await fixMarkdownlint(run);
+  }
+
+  // Prettier formats both source and Markdown files
+  const prettier = languages.includes('typescript') || languages.includes('markdown');
+  if (prettier && selectRule(PRETTIER_RULE)) {
+    fixed.prettier = await fixPrettier(run);
+  }
+
+  if (languages.includes('python')) {
+    Object.assign(fixed, await fixPython(run));
   }
-  if (path.endsWith('.py')) {
-    return 'python';
+
+  return {
+    languages,
+    eslintConfig,
+    fixed: {
+      ...fixed,
+      total: fixed.eslint + fixed.prettier + fixed.markdownlint + fixed.ruff + fixed.format,
+    },
+    byRule: Object.fromEntries(run.byRule),
+    files: Array.from(run.fixedFiles),
+  };
+}
+
+/**
+ * runFixers, skipping files already fixed with the same contents and config.
+ * Every file the fixers ran on is then recorded as fixed.
+ */
+async function runFixersCached(
+  path: string,
+  languages: Language[],
+  files: string[] | undefined,
+  eslintConfig: ResolvedEslintConfig | undefined
+): Promise<FixResult> {
+  const key = await getCacheKey(path, 'fix', languages, eslintConfig);
+  const cache = await openCache<boolean>(path, `fix-${languages.join('-')}`, key);
+  const candidates = files ?? (await listFiles(path, getCachedExtensions(languages)));
+
+  const misses: string[] = [];
+  for (const file of candidates) {
+    if (!(await lookup(cache, file)).value) {
+      misses.push(file);
+    }
   }
-  return 'auto';
+
+  // With nothing cached, let the fixers walk the tree themselves
+  const targets = misses.length === candidates.length ? files : misses;
+  const result = await runFixers(path, languages, targets, eslintConfig);
+
+  for (const file of misses) {
+    const hash = await hashFile(file);
+    if (hash !== undefined) {
+      store(cache, file, hash, true);
+    }
+  }
+  await saveCache(cache);
+
+  return { ...result, cache: cache.stats };
+}
+
+function isSelective({ rules = [], excludeRules = [] }: FixInput): boolean {
+  return rules.length > 0 || excludeRules.length > 0;
+}
+
+export async function fix(input: FixInput): Promise<FixResult> {
+  const { path, language = 'auto', dryRun = false, since, staged } = input;
+
+  // Determine languages; polyglot projects run every matching toolchain
+  const languages = await resolveLanguages(path, language);
+
+  // Resolved up front so a missing project config is reported rather than swallowed
+  const eslintConfig = languages.includes('typescript')
+    ? resolveEslintConfig(path, input.configMode)
+    : undefined;
+
+  // With since/staged, only fix the files changed according to git
+  const files = isScoped({ since, staged })
+    ? (await getChangedFiles(path, { since, staged })).files
+    : undefined;
+
+  const selectRule = (rule: string): boolean => matchesRules(rule, input);
+  if (dryRun) {
+    return dryRunFix(path, languages, files, eslintConfig, selectRule);
+  }
+
+  // The cache records files as fully fixed, which fixing only some rules doesn't make them
+  const applyFixes = (): Promise<FixResult> =>
+    input.noCache || isSelective(input)
+      ? runFixers(path, languages, files, eslintConfig, selectRule)
+      : runFixersCached(path, languages, files, eslintConfig);
+  if (!input.verify) {
+    return applyFixes();
+  }
+
+  const { result, verification } = await verifyFixes(path, languages, files, applyFixes);
+  const rolledBack = new Set(verification.rolledBack.map((r) => r.file));
+  return { ...result, files: result.files.filter((f) => !rolledBack.has(f)), verification };
 }
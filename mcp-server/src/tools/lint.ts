@@ -1,30 +1,95 @@
+import { resolve, sep } from 'path';
+
+import {
+  EslintConfigMode,
+  ResolvedEslintConfig,
+  resolveEslintConfig,
+} from '../runners/eslint-config.js';
 import { runEslint, EslintIssue } from '../runners/eslint.js';
-import { runPrettier } from '../runners/prettier.js';
+import { runMarkdownlint, MarkdownlintMessage } from '../runners/markdownlint.js';
+import { runMypy, MypyMessage } from '../runners/mypy.js';
+import { getPrettierHunks, PRETTIER_RULE, PrettierHunk, runPrettier } from '../runners/prettier.js';
+import { runRuff, RuffMessage } from '../runners/ruff.js';
+import { isTscRule, runTsc, toTscRule, TscMessage } from '../runners/tsc.js';
+import { excludeBaselined } from '../utils/baseline.js';
+import {
+  ChangedFiles,
+  ChangeScope,
+  getChangedFiles,
+  isInChangedLines,
+  isScoped,
+} from '../utils/changed-files.js';
+import { Language, resolveLanguages } from '../utils/detect-language.js';
+import { filterIssues, IssueFilter } from '../utils/filter-issues.js';
+import { applyFixabilityOverrides } from '../utils/fixability.js';
+import {
+  CacheStats,
+  getCacheKey,
+  getCachedExtensions,
+  lookup,
+  openCache,
+  saveCache,
+  store,
+} from '../utils/lint-cache.js';
+import { listFiles } from '../utils/list-files.js';
+import { loadProjectConfig } from '../utils/project-config.js';
 
-export interface LintInput {
+export interface LintInput extends ChangeScope, IssueFilter {
   path: string;
-  language?: 'typescript' | 'python' | 'auto';
+  language?: Language | 'auto';
+  // With since/staged, only report issues on the changed lines
+  changedLinesOnly?: boolean;
+  // Cap on the number of issues returned; the summary still counts all of them
+  maxIssues?: number;
+  // Which ESLint config to use; defaults to the project's, falling back to ours
+  configMode?: EslintConfigMode;
+  // Lint every file, ignoring (and not updating) the results cache
+  noCache?: boolean;
+  // Only report issues that aren't recorded in the project's .sca-baseline.json
+  baseline?: boolean;
+  // Only lint these files (absolute paths), e.g. the ones a watch saw change
+  files?: string[];
+  // Still report tsc's diagnostics for the whole path when only some files are linted
+  typeCheckAll?: boolean;
 }
 
 export interface LintIssue {
   file: string;
   line: number;
   column: number;
+  endLine?: number;
+  // Text that replaces lines line..endLine, when the fix is known (e.g. Prettier)
+  replacement?: string;
+  // Character range of the file and the text that replaces it (ESLint fixes)
+  fix?: { range: [number, number]; text: string };
   rule: string;
   message: string;
   severity: 'error' | 'warning';
   fixable: boolean;
   claudeFixable: boolean;
+  // Neither a linter nor Claude can fix it; needs a human decision
+  manualOnly: boolean;
 }
 
 export interface LintResult {
+  languages: Language[];
+  // The ESLint config that was used, when TypeScript was linted
+  eslintConfig?: ResolvedEslintConfig;
   issues: LintIssue[];
   summary: {
     errors: number;
     warnings: number;
     fixable: number;
     claudeFixable: number;
+    manualOnly: number;
     total: number;
+    // Number of issues in `issues`, and whether maxIssues cut the list short
+    returned: number;
+    truncated: boolean;
+    // Files whose issues came from the cache, and files that were linted
+    cache?: CacheStats;
+    // With `baseline`, issues left out as already recorded in the baseline
+    baselined?: number;
   };
 }
 
@@ -48,6 +113,7 @@ const CLAUDE_FIXABLE_RULES = new Set([
   '@typescript-eslint/no-unsafe-argument',
   '@typescript-eslint/explicit-function-return-type',
   '@typescript-eslint/explicit-module-boundary-types',
+  // (TypeScript compiler errors, e.g. ts(2345), are too: see isClaudeFixable)
 
   // Dead code - need to understand if truly unused
   '@typescript-eslint/no-unused-vars',
@@ -64,10 +130,42 @@ const CLAUDE_FIXABLE_RULES = new Set([
 
   // Circular dependencies - need architecture understanding
   'import/no-cycle',
+
+  // Python (ruff) equivalents of the rules above
+  'C901', // complex-structure
+  'PLR0911', // too-many-return-statements
+  'PLR0912', // too-many-branches
+  'PLR0913', // too-many-arguments
+  'PLR0915', // too-many-statements
+  'ANN001', // missing-type-function-argument
+  'ANN201', // missing-return-type-undocumented-public-function
+  'ANN202', // missing-return-type-private-function
+  'ANN401', // any-type
+  'F841', // unused-variable
+  'ARG001', // unused-function-argument
+  'ARG002', // unused-method-argument
+  'N802', // invalid-function-name
+  'N806', // non-lowercase-variable-in-function
+
+  // Python (mypy) type errors - need context to determine correct types
+  'arg-type',
+  'assignment',
+  'attr-defined',
+  'call-arg',
+  'index',
+  'no-any-return',
+  'no-untyped-call',
+  'no-untyped-def',
+  'override',
+  'return',
+  'return-value',
+  'type-arg',
+  'union-attr',
+  'var-annotated',
 ]);
 
-function isClaudeFixable(rule: string): boolean {
-  return CLAUDE_FIXABLE_RULES.has(rule);
+export function isClaudeFixable(rule: string): boolean {
+  return CLAUDE_FIXABLE_RULES.has(rule) || isTscRule(rule);
 }
 
 function transformEslintIssue(issue: EslintIssue): LintIssue {
@@ -83,80 +181,372 @@ function transformEslintIssue(issue: EslintIssue): LintIssue {
     severity: issue.severity === 2 ? 'error' : 'warning',
     fixable: isAutoFixable,
     claudeFixable: isClaude,
+    manualOnly: !isAutoFixable && !isClaude,
+    fix: issue.fix,
   };
 }
 
-export async function lint(input: LintInput): Promise<LintResult> {
-  const { path, language = 'auto' } = input;
+function transformRuffIssue(issue: RuffMessage): LintIssue {
+  // `ruff check --fix` only applies safe fixes unless --unsafe-fixes is passed
+  const isAutoFixable = issue.fix?.applicability === 'safe';
+  const rule = issue.code ?? 'syntax-error';
+  const isClaude = !isAutoFixable && isClaudeFixable(rule);
+
+  return {
+    file: issue.filename,
+    line: issue.location.row,
+    column: issue.location.column,
+    rule,
+    message: issue.message,
+    severity: 'error',
+    fixable: isAutoFixable,
+    claudeFixable: isClaude,
+    manualOnly: !isAutoFixable && !isClaude,
+  };
+}
+
+function transformMypyIssue(issue: MypyMessage): LintIssue {
+  const rule = issue.code ?? 'mypy';
+
+  return {
+    file: issue.file,
+    line: issue.line,
+    column: issue.column,
+    rule,
+    message: issue.message,
+    severity: issue.severity,
+    // mypy has no auto-fix, so type errors are either Claude-fixable or manual
+    fixable: false,
+    claudeFixable: isClaudeFixable(rule),
+    manualOnly: !isClaudeFixable(rule),
+  };
+}
+
+function transformTscIssue(issue: TscMessage): LintIssue {
+  const rule = toTscRule(issue.code);
+
+  return {
+    file: issue.file,
+    line: issue.line,
+    column: issue.column,
+    rule,
+    message: issue.message,
+    severity: issue.severity,
+    // Like mypy, tsc has no auto-fix; its errors need the code's types understood
+    fixable: false,
+    claudeFixable: isClaudeFixable(rule),
+    manualOnly: !isClaudeFixable(rule),
+  };
+}
+
+function transformMarkdownlintIssue(issue: MarkdownlintMessage): LintIssue {
+  const detail = issue.errorDetail ? ` [${issue.errorDetail}]` : '';
 
+  return {
+    file: issue.fileName,
+    line: issue.lineNumber,
+    column: issue.errorRange?.[0] ?? 1,
+    rule: issue.ruleNames[0],
+    message: `${issue.ruleDescription}${detail}`,
+    severity: issue.severity ?? 'error',
+    fixable: issue.fixInfo !== null,
+    claudeFixable: false,
+    manualOnly: issue.fixInfo === null,
+  };
+}
+
+async function lintTypescript(
+  path: string,
+  files: string[] | undefined,
+  eslintConfig: ResolvedEslintConfig
+): Promise<LintIssue[]> {
   const issues: LintIssue[] = [];
 
-  // Determine language
-  const detectedLanguage = language === 'auto' ? detectLanguage(path) : language;
-
-  if (detectedLanguage === 'typescript' || detectedLanguage === 'auto') {
-    // Run ESLint
-    const eslintResult = await runEslint(path, false);
-    for (const fileResult of eslintResult) {
-      for (const msg of fileResult.messages) {
-        issues.push(
-          transformEslintIssue({
-            ...msg,
-            filePath: fileResult.filePath,
-          })
-        );
-      }
+  // Run ESLint
+  const eslintResult = await runEslint(path, files, eslintConfig);
+  for (const fileResult of eslintResult) {
+    for (const msg of fileResult.messages) {
+      issues.push(
+        transformEslintIssue({
+          ...msg,
+          filePath: fileResult.filePath,
+        })
+      );
     }
+  }
+
+  return issues;
+}
+
+function transformPrettierHunk(file: string, hunk?: PrettierHunk): LintIssue {
+  const issue: LintIssue = {
+    file,
+    line: 1,
+    column: 1,
+    rule: PRETTIER_RULE,
+    message: 'File is not formatted according to Prettier rules',
+    severity: 'error',
+    fixable: true,
+    claudeFixable: false,
+    manualOnly: false,
+  };
+
+  if (!hunk) {
+    return issue;
+  }
+
+  return {
+    ...issue,
+    line: hunk.startLine,
+    endLine: hunk.endLine,
+    replacement: hunk.replacement,
+    message: `Lines ${hunk.startLine}-${hunk.endLine} are not formatted according to Prettier rules`,
+  };
+}
+
+async function lintFormatting(path: string, files?: string[]): Promise<LintIssue[]> {
+  const issues: LintIssue[] = [];
 
-    // Run Prettier check
-    const prettierResult = await runPrettier(path, false);
-    for (const file of prettierResult.unformatted) {
-      issues.push({
-        file,
-        line: 1,
-        column: 1,
-        rule: 'prettier/prettier',
-        message: 'File is not formatted according to Prettier rules',
-        severity: 'error',
-        fixable: true,
-        claudeFixable: false,
-      });
+  // Run Prettier check, then diff each unformatted file to locate the changes
+  const prettierResult = await runPrettier(path, false, files);
+  for (const file of prettierResult.unformatted) {
+    const hunks = await getPrettierHunks(file);
+    if (hunks.length === 0) {
+      issues.push(transformPrettierHunk(file));
     }
+    issues.push(...hunks.map((hunk) => transformPrettierHunk(file, hunk)));
   }
 
-  // TODO: Add Python support (ruff, mypy)
+  return issues;
+}
+
+async function lintMarkdown(path: string, files?: string[]): Promise<LintIssue[]> {
+  // Run markdownlint
+  const markdownlintResult = await runMarkdownlint(path, false, files);
+  return markdownlintResult.map(transformMarkdownlintIssue);
+}
+
+async function lintPython(path: string, files?: string[]): Promise<LintIssue[]> {
+  // Run Ruff
+  const ruffResult = await runRuff(path, false, files);
+  return ruffResult.map(transformRuffIssue);
+}
+
+async function lintPythonTypes(path: string, files?: string[]): Promise<LintIssue[]> {
+  // Run mypy
+  const mypyResult = await runMypy(path, files);
+  return mypyResult.map(transformMypyIssue);
+}
 
-  // Calculate summary
-  const errors = issues.filter((i) => i.severity === 'error').length;
-  const warnings = issues.filter((i) => i.severity === 'warning').length;
-  const fixable = issues.filter((i) => i.fixable).length;
-  const claudeFixable = issues.filter((i) => i.claudeFixable).length;
+async function lintTypes(path: string, files?: string[]): Promise<LintIssue[]> {
+  // Run tsc; it checks the whole project, so keep only the diagnostics in scope
+  const target = resolve(path);
+  const scoped = files ? new Set(files.map((file) => resolve(file))) : undefined;
+  const tscResult = (await runTsc(path)).filter(
+    (m) =>
+      (m.file === target || m.file.startsWith(`${target}${sep}`)) &&
+      (scoped === undefined || scoped.has(m.file))
+  );
+  return tscResult.map(transformTscIssue);
+}
 
+/**
+ * Summary counts for issues, of which the first `returned` are reported.
+ */
+export function summarize(
+  issues: LintIssue[],
+  returned: number,
+  cache?: CacheStats
+): LintResult['summary'] {
   return {
-    issues,
-    summary: {
-      errors,
-      warnings,
-      fixable,
-      claudeFixable,
-      total: issues.length,
-    },
+    errors: issues.filter((i) => i.severity === 'error').length,
+    warnings: issues.filter((i) => i.severity === 'warning').length,
+    fixable: issues.filter((i) => i.fixable).length,
+    claudeFixable: issues.filter((i) => i.claudeFixable).length,
+    manualOnly: issues.filter((i) => i.manualOnly).length,
+    total: issues.length,
+    returned,
+    truncated: returned < issues.length,
+    cache,
   };
 }
 
-function detectLanguage(path: string): 'typescript' | 'python' | 'auto' {
-  // Simple heuristic - check file extension or look for config files
-  if (
-    path.endsWith('.ts') ||
-    path.endsWith('.tsx') ||
-    path.endsWith('.js') ||
-    path.endsWith('.jsx')
-  ) {
-    return 'typescript';
+async function runLinters(
+  path: string,
+  languages: Language[],
+  files: string[] | undefined,
+  eslintConfig: ResolvedEslintConfig | undefined
+): Promise<LintIssue[]> {
+  const issues: LintIssue[] = [];
+
+  if (eslintConfig) {
+    issues.push(...(await lintTypescript(path, files, eslintConfig)));
+  }
+
+  // Prettier formats both source and Markdown files
+  if (languages.includes('typescript') || languages.includes('markdown')) {
+    issues.push(...(await lintFormatting(path, files)));
+  }
+
+  if (languages.includes('markdown')) {
+    issues.push(...(await lintMarkdown(path, files)));
+  }
+
+  if (languages.includes('python')) {
+    issues.push(...(await lintPython(path, files)));
+  }
+
+  return issues;
+}
+
+/**
+ * Group issues by (absolute) file path.
+ */
+export function groupByFile(issues: LintIssue[]): Map<string, LintIssue[]> {
+  const byFile = new Map<string, LintIssue[]>();
+  for (const issue of issues) {
+    const file = resolve(issue.file);
+    byFile.set(file, [...(byFile.get(file) ?? []), issue]);
+  }
+  return byFile;
+}
+
+/**
+ * runLinters on a file list, or on all of path. Linters walking path themselves
+ * also look in directories listFiles skips (e.g. build/), so only the issues of
+ * the files it lists (`listed`, when already known) are kept. That way a walk
+ * reports the same as linting those files by name, without a huge command line.
+ */
+async function runLintersOn(
+  path: string,
+  languages: Language[],
+  files: string[] | undefined,
+  eslintConfig: ResolvedEslintConfig | undefined,
+  listed?: string[]
+): Promise<LintIssue[]> {
+  if (files) {
+    return runLinters(path, languages, files, eslintConfig);
+  }
+
+  const kept = new Set(
+    (listed ?? (await listFiles(path, getCachedExtensions(languages)))).map((f) => resolve(f))
+  );
+  const issues = await runLinters(path, languages, undefined, eslintConfig);
+  return issues.filter((issue) => kept.has(resolve(issue.file)));
+}
+
+/**
+ * runLinters, reusing the cached issues of files whose contents and config haven't
+ * changed. Only the remaining files are linted, and their issues cached.
+ */
+async function runLintersCached(
+  path: string,
+  languages: Language[],
+  files: string[] | undefined,
+  eslintConfig: ResolvedEslintConfig | undefined
+): Promise<{ issues: LintIssue[]; cache: CacheStats }> {
+  const key = await getCacheKey(path, 'lint', languages, eslintConfig);
+  const cache = await openCache<LintIssue[]>(path, `lint-${languages.join('-')}`, key);
+  const candidates = files ?? (await listFiles(path, getCachedExtensions(languages)));
+
+  const issues: LintIssue[] = [];
+  const misses = new Map<string, string | undefined>();
+  for (const file of candidates) {
+    const { hash, value } = await lookup(cache, file);
+    if (value) {
+      issues.push(...value);
+    } else {
+      misses.set(file, hash);
+    }
+  }
+
+  if (misses.size > 0) {
+    // With nothing cached, let the linters walk the tree themselves, as fix does
+    const targets = misses.size === candidates.length ? files : Array.from(misses.keys());
+    const fresh = await runLintersOn(path, languages, targets, eslintConfig, candidates);
+    issues.push(...fresh);
+
+    const byFile = groupByFile(fresh);
+    for (const [file, hash] of misses) {
+      if (hash !== undefined) {
+        store(cache, file, hash, byFile.get(resolve(file)) ?? []);
+      }
+    }
+    await saveCache(cache);
+  }
+
+  return { issues, cache: cache.stats };
+}
+
+async function collectIssues(
+  input: LintInput,
+  languages: Language[],
+  scope: { files?: string[]; eslintConfig?: ResolvedEslintConfig }
+): Promise<{ issues: LintIssue[]; cache?: CacheStats }> {
+  const { path } = input;
+  const { eslintConfig } = scope;
+  // Files changed according to git take precedence over a listed set
+  const files = scope.files ?? input.files;
+  const result = input.noCache
+    ? { issues: await runLintersOn(path, languages, files, eslintConfig) }
+    : await runLintersCached(path, languages, files, eslintConfig);
+
+  // tsc and mypy check files against each other, so their results are never cached per file
+  if (languages.includes('typescript')) {
+    result.issues.push(...(await lintTypes(path, input.typeCheckAll ? undefined : files)));
+  }
+  if (languages.includes('python')) {
+    result.issues.push(...(await lintPythonTypes(path, files)));
   }
-  if (path.endsWith('.py')) {
-    return 'python';
+
+  return result;
+}
+
+function onChangedLines(issues: LintIssue[], changes: ChangedFiles): LintIssue[] {
+  return issues.filter((issue) => isInChangedLines(changes, issue.file, issue.line, issue.endLine));
+}
+
+export async function lint(input: LintInput): Promise<LintResult> {
+  const { path, language = 'auto', since, staged, changedLinesOnly = false, maxIssues } = input;
+
+  // Determine languages; polyglot projects run every matching toolchain
+  const languages = await resolveLanguages(path, language);
+
+  // Resolved up front so a missing project config is reported rather than swallowed
+  const eslintConfig = languages.includes('typescript')
+    ? resolveEslintConfig(path, input.configMode)
+    : undefined;
+
+  // With since/staged, only lint the files changed according to git
+  const changes = isScoped({ since, staged })
+    ? await getChangedFiles(path, { since, staged })
+    : undefined;
+
+  const { issues: found, cache } = await collectIssues(input, languages, {
+    files: changes?.files,
+    eslintConfig,
+  });
+
+  // Project overrides (.sca-mcp.json) reclassify issues before any filtering
+  const config = await loadProjectConfig(path);
+  const classified = applyFixabilityOverrides(found, config.fixability);
+
+  // Baselined issues are known debt: leave them out before filtering and counting
+  const { issues: unbaselined, baselined } = input.baseline
+    ? await excludeBaselined(path, classified)
+    : { issues: classified, baselined: undefined };
+
+  let issues = filterIssues(unbaselined, input);
+  if (changes && changedLinesOnly) {
+    issues = onChangedLines(issues, changes);
   }
-  // Default to auto which will try TypeScript
-  return 'auto';
+
+  const returned = maxIssues === undefined ? issues : issues.slice(0, Math.max(maxIssues, 0));
+
+  return {
+    languages,
+    eslintConfig,
+    issues: returned,
+    summary: { ...summarize(issues, returned.length, cache), baselined },
+  };
 }
@@ -0,0 +1,185 @@
+import { readFile } from 'fs/promises';
+
+import { Linter } from 'eslint';
+
+import {
+  EslintConfigMode,
+  ResolvedEslintConfig,
+  resolveEslintConfig,
+} from '../runners/eslint-config.js';
+import {
+  FunctionMetric,
+  FunctionMetrics,
+  measureFunctions,
+  METRIC_RULES,
+} from '../runners/eslint-metrics.js';
+import { ESLINT_EXTENSIONS, getEslintFileConfig, isRuleEnabled } from '../runners/eslint.js';
+import { measureDuplication } from '../utils/duplication.js';
+import { listFiles } from '../utils/list-files.js';
+
+export interface MetricsInput {
+  path: string;
+  configMode?: EslintConfigMode;
+  // Number of hotspots to return
+  maxHotspots?: number;
+  // Only list functions at or above this score (e.g. 0.8: within 20% of a limit)
+  minScore?: number;
+}
+
+export type MetricLimits = Partial<Record<FunctionMetric, number>>;
+
+export interface FunctionReport extends FunctionMetrics {
+  // The highest metric as a fraction of its limit; 1 or more breaks the limit
+  score: number;
+  exceeds: FunctionMetric[];
+}
+
+export interface FileMetrics {
+  file: string;
+  // The limits the config enforces for this file (tests are often laxer)
+  limits: MetricLimits;
+  functions: FunctionReport[];
+  lines: number;
+  duplicatedLines: number;
+  // Percentage of the file's lines in blocks that also appear elsewhere
+  duplication: number;
+}
+
+export interface Hotspot extends FunctionReport {
+  file: string;
+}
+
+export interface MetricsResult {
+  eslintConfig: ResolvedEslintConfig;
+  summary: {
+    files: number;
+    functions: number;
+    overLimit: number;
+    nearLimit: number;
+    lines: number;
+    duplicatedLines: number;
+    duplication: number;
+  };
+  // The functions furthest over (or closest to) their limits, worst first
+  hotspots: Hotspot[];
+  files: FileMetrics[];
+}
+
+// Score from which a function counts as close to a limit
+const NEAR_LIMIT_SCORE = 0.8;
+const DEFAULT_MAX_HOTSPOTS = 10;
+
+function getLimit(entry: Linter.RuleEntry, defaultLimit: number): number {
+  const [, first] = Array.isArray(entry) ? entry : [entry];
+  if (typeof first === 'number') {
+    return first;
+  }
+  const options = new Map(Object.entries((first ?? {}) as object));
+  const limit = options.get('max') ?? options.get('maximum');
+  return typeof limit === 'number' ? limit : defaultLimit;
+}
+
+function getLimits(rules: Map<string, Linter.RuleEntry>): Map<FunctionMetric, number> {
+  const limits = new Map<FunctionMetric, number>();
+  for (const [metric, { rule, defaultLimit }] of METRIC_RULES) {
+    const entry = rules.get(rule);
+    if (entry !== undefined && isRuleEnabled(entry)) {
+      limits.set(metric, getLimit(entry, defaultLimit));
+    }
+  }
+  return limits;
+}
+
+function score(fn: FunctionMetrics, limits: Map<FunctionMetric, number>): FunctionReport {
+  const values = new Map<FunctionMetric, number>([
+    ['complexity', fn.complexity],
+    ['cognitiveComplexity', fn.cognitiveComplexity],
+    ['lines', fn.lines],
+    ['params', fn.params],
+    ['depth', fn.depth],
+  ]);
+
+  let highest = 0;
+  const exceeds: FunctionMetric[] = [];
+  for (const [metric, limit] of limits) {
+    const value = values.get(metric) ?? 0;
+    highest = Math.max(highest, limit > 0 ? value / limit : value);
+    if (value > limit) {
+      exceeds.push(metric);
+    }
+  }
+
+  return { ...fn, score: Math.round(highest * 100) / 100, exceeds };
+}
+
+function percentage(part: number, whole: number): number {
+  return whole === 0 ? 0 : Math.round((part / whole) * 1000) / 10;
+}
+
+async function measureFile(
+  path: string,
+  file: string,
+  source: string,
+  config: ResolvedEslintConfig
+): Promise<Pick<FileMetrics, 'limits' | 'functions'>> {
+  const { rules } = await getEslintFileConfig(path, file, config);
+  const limits = getLimits(rules);
+  const functions = measureFunctions(file, source, rules).map((fn) => score(fn, limits));
+  return { limits: Object.fromEntries(limits), functions };
+}
+
+function summarize(files: FileMetrics[], functions: FunctionReport[]): MetricsResult['summary'] {
+  const lines = files.reduce((sum, file) => sum + file.lines, 0);
+  const duplicatedLines = files.reduce((sum, file) => sum + file.duplicatedLines, 0);
+  return {
+    files: files.length,
+    functions: functions.length,
+    overLimit: functions.filter((fn) => fn.score > 1).length,
+    nearLimit: functions.filter((fn) => fn.score >= NEAR_LIMIT_SCORE && fn.score <= 1).length,
+    lines,
+    duplicatedLines,
+    duplication: percentage(duplicatedLines, lines),
+  };
+}
+
+/**
+ * Measure every JavaScript/TypeScript function under path against the limits the
+ * ESLint config enforces (complexity, cognitive complexity, length, params,
+ * nesting depth), plus per-file duplication, and rank the worst functions.
+ */
+export async function metrics(input: MetricsInput): Promise<MetricsResult> {
+  const { path, minScore = 0, maxHotspots = DEFAULT_MAX_HOTSPOTS } = input;
+  const eslintConfig = resolveEslintConfig(path, input.configMode);
+
+  const sources = new Map<string, string>();
+  for (const file of await listFiles(path, ESLINT_EXTENSIONS)) {
+    sources.set(file, await readFile(file, 'utf8'));
+  }
+  const duplication = measureDuplication(sources);
+
+  const files: FileMetrics[] = [];
+  const hotspots: Hotspot[] = [];
+  for (const [file, source] of sources) {
+    const { limits, functions } = await measureFile(path, file, source, eslintConfig);
+    const { lines = 0, duplicatedLines = 0 } = duplication.get(file) ?? {};
+
+    hotspots.push(...functions.map((fn) => ({ file, ...fn })));
+    files.push({
+      file,
+      limits,
+      functions: functions.filter((fn) => fn.score >= minScore),
+      lines,
+      duplicatedLines,
+      duplication: percentage(duplicatedLines, lines),
+    });
+  }
+
+  hotspots.sort((a, b) => b.score - a.score || b.complexity - a.complexity);
+  return {
+    eslintConfig,
+    summary: summarize(files, hotspots),
+    hotspots: hotspots.slice(0, Math.max(maxHotspots, 0)),
+    files:
+      minScore > 0 ? files.filter((f) => f.functions.length > 0 || f.duplicatedLines > 0) : files,
+  };
+}
@@ -0,0 +1,217 @@
+import { existsSync, FSWatcher, statSync, watch as watchPath } from 'fs';
+import { dirname, extname, relative, resolve, sep } from 'path';
+
+import { EslintConfigMode } from '../runners/eslint-config.js';
+import { isTscRule } from '../runners/tsc.js';
+import { Language, resolveLanguages } from '../utils/detect-language.js';
+import { getCachedExtensions } from '../utils/lint-cache.js';
+import { isSkippedDirectory } from '../utils/list-files.js';
+
+import { groupByFile, lint, LintIssue, LintResult, summarize } from './lint.js';
+
+export interface WatchInput {
+  path: string;
+  language?: Language | 'auto';
+  configMode?: EslintConfigMode;
+}
+
+export interface WatchTotals {
+  errors: number;
+  warnings: number;
+  total: number;
+}
+
+export interface WatchResult {
+  watchId: string;
+  path: string;
+  languages: Language[];
+  // Issues across the whole path when watching started
+  totals: WatchTotals;
+}
+
+export interface WatchUpdate {
+  watchId: string;
+  path: string;
+  // Files re-linted in this update; deleted files come back with no issues
+  files: string[];
+  issues: LintIssue[];
+  // Issues across the whole path after this update
+  totals: WatchTotals;
+}
+
+export interface WatchListener {
+  // Issues of the files re-linted after a change
+  onUpdate: (update: WatchUpdate) => Promise<void>;
+  // Full report for the watched path, when watching starts and after every update
+  onReport: (path: string, report: LintResult) => Promise<void>;
+}
+
+interface Watcher {
+  input: WatchInput;
+  // The initial lint, for the languages and ESLint config in use
+  initial: LintResult;
+  root: string;
+  extensions: string[];
+  fsWatcher: FSWatcher;
+  // Current issues per file, kept up to date as files change
+  issues: Map<string, LintIssue[]>;
+  pending: Set<string>;
+  timer?: NodeJS.Timeout;
+  // Re-lints run one after another, in the order changes came in
+  queue: Promise<void>;
+}
+
+// Wait for a burst of changes (e.g. a save touching several files) to settle
+const DEBOUNCE_MS = 200;
+
+const watchers = new Map<string, Watcher>();
+let nextWatchId = 1;
+
+function getTotals(watcher: Watcher): WatchTotals {
+  const issues = Array.from(watcher.issues.values()).flat();
+  return {
+    errors: issues.filter((i) => i.severity === 'error').length,
+    warnings: issues.filter((i) => i.severity === 'warning').length,
+    total: issues.length,
+  };
+}
+
+function getReport(watcher: Watcher): LintResult {
+  const issues = Array.from(watcher.issues.values()).flat();
+  return { ...watcher.initial, issues, summary: summarize(issues, issues.length) };
+}
+
+function isWatchedFile(watcher: Watcher, file: string): boolean {
+  const directories = relative(watcher.root, file).split(sep).slice(0, -1);
+  return (
+    watcher.extensions.includes(extname(file)) &&
+    !directories.some((directory) => isSkippedDirectory(directory))
+  );
+}
+
+// Replace the changed files' issues, and tsc's everywhere: it checks the project as a
+// whole, so an edit can raise or clear type errors in files that didn't change
+function updateIssues(watcher: Watcher, files: string[], byFile: Map<string, LintIssue[]>): void {
+  for (const [file, issues] of watcher.issues) {
+    watcher.issues.set(
+      file,
+      issues.filter((issue) => !isTscRule(issue.rule))
+    );
+  }
+
+  for (const file of files) {
+    watcher.issues.delete(file);
+  }
+  for (const [file, issues] of byFile) {
+    watcher.issues.set(file, [...(watcher.issues.get(file) ?? []), ...issues]);
+  }
+}
+
+async function relint(watchId: string, files: string[], listener: WatchListener): Promise<void> {
+  const watcher = watchers.get(watchId);
+  if (!watcher) {
+    return;
+  }
+
+  // One lint for the whole batch, so project-wide checks (tsc, mypy) run once
+  const { language, configMode } = watcher.input;
+  const existing = files.filter((file) => existsSync(file));
+  const path = resolve(watcher.input.path);
+  const { issues } = await lint({
+    path,
+    language,
+    configMode,
+    files: existing,
+    typeCheckAll: true,
+  });
+  updateIssues(watcher, files, groupByFile(issues));
+
+  await listener.onUpdate({
+    watchId,
+    path: watcher.input.path,
+    files,
+    issues: files.flatMap((file) => watcher.issues.get(file) ?? []),
+    totals: getTotals(watcher),
+  });
+  await listener.onReport(watcher.input.path, getReport(watcher));
+}
+
+function onChange(watchId: string, filename: string | null, listener: WatchListener): void {
+  const watcher = watchers.get(watchId);
+  if (!watcher || !filename) {
+    return;
+  }
+
+  const file = resolve(watcher.root, filename);
+  if (!isWatchedFile(watcher, file)) {
+    return;
+  }
+
+  watcher.pending.add(file);
+  clearTimeout(watcher.timer);
+  watcher.timer = setTimeout(() => {
+    const files = Array.from(watcher.pending);
+    watcher.pending.clear();
+    watcher.queue = watcher.queue
+      .then(() => relint(watchId, files, listener))
+      .catch((error: unknown) => console.error('Watch error:', error));
+  }, DEBOUNCE_MS);
+}
+
+/**
+ * Lint path, then keep watching it: changed files are re-linted (through the
+ * results cache) and their issues passed to listener until `unwatch` is called.
+ */
+export async function watch(input: WatchInput, listener: WatchListener): Promise<WatchResult> {
+  const resolvedPath = resolve(input.path);
+  if (!existsSync(resolvedPath)) {
+    throw new Error(`Path does not exist: ${resolvedPath}`);
+  }
+
+  const isDirectory = statSync(resolvedPath).isDirectory();
+  const languages = await resolveLanguages(resolvedPath, input.language ?? 'auto');
+  const initial = await lint({ ...input, path: resolvedPath });
+
+  const watchId = `watch-${nextWatchId++}`;
+  // Recursive watching needs Node 20 on Linux, hence engines >=20
+  const fsWatcher = watchPath(resolvedPath, { recursive: isDirectory }, (_event, filename) =>
+    onChange(watchId, filename, listener)
+  );
+  fsWatcher.on('error', (error) => {
+    console.error('Watch error:', error);
+    if (watchers.has(watchId)) {
+      unwatch(watchId);
+    }
+  });
+
+  const watcher: Watcher = {
+    input,
+    initial,
+    root: isDirectory ? resolvedPath : dirname(resolvedPath),
+    extensions: getCachedExtensions(languages),
+    fsWatcher,
+    issues: groupByFile(initial.issues),
+    pending: new Set(),
+    queue: Promise.resolve(),
+  };
+  watchers.set(watchId, watcher);
+  await listener.onReport(input.path, initial);
+
+  return { watchId, path: input.path, languages, totals: getTotals(watcher) };
+}
+
+/**
+ * Stop a watch started with `watch`.
+ */
+export function unwatch(watchId: string): { watchId: string; stopped: boolean } {
+  const watcher = watchers.get(watchId);
+  if (!watcher) {
+    throw new Error(`Unknown watch: ${watchId}`);
+  }
+
+  clearTimeout(watcher.timer);
+  watcher.fsWatcher.close();
+  watchers.delete(watchId);
+
+  return { watchId, stopped: true };
+}
@@ -0,0 +1,164 @@
+import { createHash } from 'crypto';
+import { existsSync } from 'fs';
+import { readFile, writeFile } from 'fs/promises';
+import { dirname, join, relative, resolve, sep } from 'path';
+
+import { findUpDirectory, getWorkingDirectory } from './paths.js';
+
+export const BASELINE_FILE = '.sca-baseline.json';
+
+export interface BaselineEntry {
+  // Relative to the baseline file's directory, with forward slashes
+  file: string;
+  rule: string;
+  fingerprint: string;
+  // Identical issues (same rule and line of code) in the same file
+  count: number;
+}
+
+// On-disk format
+interface BaselineFile {
+  version: 1;
+  issues: BaselineEntry[];
+}
+
+interface BaselineIssue {
+  file: string;
+  line: number;
+  rule: string;
+}
+
+/**
+ * The baseline for targetPath: the nearest .sca-baseline.json at or above it, or
+ * where a new one goes (the git root, else targetPath's directory).
+ */
+export function findBaselineFile(targetPath: string): string {
+  const start = getWorkingDirectory(targetPath);
+  const directory = findUpDirectory(
+    start,
+    (d) => existsSync(join(d, BASELINE_FILE)) || existsSync(join(d, '.git'))
+  );
+  return join(directory ?? start, BASELINE_FILE);
+}
+
+/**
+ * Load a baseline's entries by fingerprint. Returns undefined when the file
+ * doesn't exist.
+ */
+export async function loadBaseline(file: string): Promise<Map<string, BaselineEntry> | undefined> {
+  let contents: string;
+  try {
+    contents = await readFile(file, 'utf8');
+  } catch {
+    return undefined;
+  }
+
+  try {
+    const saved = JSON.parse(contents) as BaselineFile;
+    return new Map(saved.issues.map((entry) => [entry.fingerprint, entry]));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Invalid ${BASELINE_FILE} at ${file}: ${message}`);
+  }
+}
+
+export async function saveBaseline(
+  file: string,
+  entries: Map<string, BaselineEntry>
+): Promise<void> {
+  // Sorted so the file diffs cleanly as it shrinks
+  const issues = Array.from(entries.values()).sort(
+    (a, b) =>
+      a.file.localeCompare(b.file) ||
+      a.rule.localeCompare(b.rule) ||
+      a.fingerprint.localeCompare(b.fingerprint)
+  );
+  const saved: BaselineFile = { version: 1, issues };
+  await writeFile(file, `${JSON.stringify(saved, null, 2)}\n`);
+}
+
+export function toBaselinePath(root: string, file: string): string {
+  return relative(root, resolve(file)).split(sep).join('/');
+}
+
+async function readLines(file: string, cache: Map<string, string[]>): Promise<string[]> {
+  const cached = cache.get(file);
+  if (cached) {
+    return cached;
+  }
+
+  let lines: string[] = [];
+  try {
+    lines = (await readFile(file, 'utf8')).split('\n');
+  } catch {
+    // Deleted since it was linted: fingerprint on file and rule alone
+  }
+  cache.set(file, lines);
+  return lines;
+}
+
+function fingerprint(path: string, rule: string, lines: string[], line: number): string {
+  // The code on the issue's line rather than its number, so edits elsewhere in the
+  // file (even right next to it) don't invalidate it; reformatting doesn't either
+  const code = (lines.at(line - 1) ?? '').replaceAll(/\s+/g, ' ').trim();
+
+  return createHash('sha256').update([path, rule, code].join('\n')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Fingerprint issues for a baseline at root, one entry per file, rule and line of code.
+ * Returns the entries and each issue's fingerprint, in order.
+ */
+export async function fingerprintIssues(
+  root: string,
+  issues: BaselineIssue[]
+): Promise<{ entries: Map<string, BaselineEntry>; fingerprints: string[] }> {
+  const entries = new Map<string, BaselineEntry>();
+  const fingerprints: string[] = [];
+  const files = new Map<string, string[]>();
+
+  for (const issue of issues) {
+    const file = toBaselinePath(root, issue.file);
+    const lines = await readLines(resolve(issue.file), files);
+    const id = fingerprint(file, issue.rule, lines, issue.line);
+
+    const entry = entries.get(id);
+    if (entry) {
+      entry.count++;
+    } else {
+      entries.set(id, { file, rule: issue.rule, fingerprint: id, count: 1 });
+    }
+    fingerprints.push(id);
+  }
+
+  return { entries, fingerprints };
+}
+
+/**
+ * Drop the issues recorded in the baseline for targetPath. Each entry absorbs up
+ * to `count` matching issues; any beyond that are new.
+ */
+export async function excludeBaselined<T extends BaselineIssue>(
+  targetPath: string,
+  issues: T[]
+): Promise<{ issues: T[]; baselined: number }> {
+  const file = findBaselineFile(targetPath);
+  const baseline = await loadBaseline(file);
+  if (!baseline) {
+    throw new Error(
+      `No ${BASELINE_FILE} found for ${targetPath}; create one with the baseline tool`
+    );
+  }
+
+  const { fingerprints } = await fingerprintIssues(dirname(file), issues);
+  const remaining = new Map(Array.from(baseline, ([id, entry]) => [id, entry.count]));
+
+  const fresh = issues.filter((_issue, index) => {
+    const id = fingerprints.at(index) ?? '';
+    const count = remaining.get(id) ?? 0;
+    remaining.set(id, count - 1);
+    return count <= 0;
+  });
+
+  return { issues: fresh, baselined: issues.length - fresh.length };
+}
@@ -0,0 +1,146 @@
+import { extname, resolve, sep } from 'path';
+
+import { execa } from 'execa';
+
+import { getWorkingDirectory } from './paths.js';
+
+export interface ChangeScope {
+  // Compare the working tree against this git ref
+  since?: string;
+  // Only consider changes staged in the index
+  staged?: boolean;
+}
+
+export interface LineRange {
+  start: number;
+  end: number;
+}
+
+export interface ChangedFiles {
+  files: string[];
+  // Changed line ranges per file; 'all' for new, untracked files
+  lines: Map<string, LineRange[] | 'all'>;
+}
+
+// e.g. "@@ -10,2 +12,3 @@"; the new-file range is "start[,count]"
+const HUNK_HEADER_PATTERN = /^@@ -\S+ \+(\S+) @@/;
+
+export function isScoped(scope: ChangeScope): boolean {
+  return scope.since !== undefined || scope.staged === true;
+}
+
+export function filterByExtension(files: string[], extensions: string[]): string[] {
+  return files.filter((file) => extensions.includes(extname(file)));
+}
+
+async function git(args: string[], cwd: string): Promise<string> {
+  // Print paths as they are rather than octal-escaping non-ASCII bytes
+  const { stdout, stderr, exitCode } = await execa('git', ['-c', 'core.quotepath=false', ...args], {
+    cwd,
+    reject: false,
+  });
+  if (exitCode !== 0) {
+    throw new Error(`git ${args[0]} failed: ${stderr.trim()}`);
+  }
+  return stdout;
+}
+
+// NUL-separated output (-z) leaves paths unquoted, whatever characters they hold
+function splitPaths(output: string, root: string): string[] {
+  return output
+    .split('\0')
+    .filter(Boolean)
+    .map((file) => resolve(root, file));
+}
+
+// Patch headers quote and tab-terminate unusual paths, so each file's name is taken
+// from the name list instead, which git prints in the same order as the patch
+function parseDiff(diff: string, files: string[], lines: Map<string, LineRange[] | 'all'>): void {
+  const remaining = [...files];
+  let current: LineRange[] | undefined;
+
+  for (const line of diff.split('\n')) {
+    const file = line.startsWith('diff --git ') ? remaining.shift() : undefined;
+    if (file !== undefined) {
+      current = [];
+      lines.set(file, current);
+      continue;
+    }
+
+    const match = HUNK_HEADER_PATTERN.exec(line);
+    if (match && current) {
+      const [start, count = 1] = match[1].split(',').map(Number);
+      // Pure deletions leave no lines behind to report on
+      if (count > 0) {
+        current.push({ start, end: start + count - 1 });
+      }
+    }
+  }
+}
+
+async function resolveRef(ref: string, root: string): Promise<string> {
+  // Refs come straight from tool input: one starting with '-' would be read as an option
+  if (ref.startsWith('-')) {
+    throw new Error(`Invalid git ref: ${ref}`);
+  }
+  return (await git(['rev-parse', '--verify', '--end-of-options', `${ref}^{commit}`], root)).trim();
+}
+
+/**
+ * Resolve the files (and line ranges) changed under targetPath, either against a
+ * git ref (including untracked files) or in the index.
+ */
+export async function getChangedFiles(
+  targetPath: string,
+  scope: ChangeScope
+): Promise<ChangedFiles> {
+  const resolvedPath = resolve(targetPath);
+  const cwd = getWorkingDirectory(resolvedPath);
+  const root = (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+
+  const diffArgs = [
+    '--diff-filter=ACMR',
+    scope.staged ? '--cached' : await resolveRef(scope.since ?? 'HEAD', root),
+    '--',
+  ];
+  const files = splitPaths(await git(['diff', '--name-only', '-z', ...diffArgs], root), root);
+  const diff = await git(['diff', '--unified=0', '--no-color', '--no-ext-diff', ...diffArgs], root);
+
+  const lines = new Map<string, LineRange[] | 'all'>();
+  parseDiff(diff, files, lines);
+
+  if (!scope.staged) {
+    const untracked = await git(['ls-files', '-z', '--others', '--exclude-standard'], root);
+    for (const file of splitPaths(untracked, root)) {
+      lines.set(file, 'all');
+    }
+  }
+
+  // Keep only files inside the requested path
+  for (const file of lines.keys()) {
+    if (file !== resolvedPath && !file.startsWith(resolvedPath + sep)) {
+      lines.delete(file);
+    }
+  }
+
+  return { files: Array.from(lines.keys()), lines };
+}
+
+/**
+ * Whether any part of lines line..endLine of file was changed.
+ */
+export function isInChangedLines(
+  changes: ChangedFiles,
+  file: string,
+  line: number,
+  endLine = line
+): boolean {
+  const ranges = changes.lines.get(resolve(file));
+  if (ranges === undefined) {
+    return false;
+  }
+  if (ranges === 'all') {
+    return true;
+  }
+  return ranges.some((range) => line <= range.end && endLine >= range.start);
+}
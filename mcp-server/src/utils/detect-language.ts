@@ -0,0 +1,89 @@
+import { readdir, stat } from 'fs/promises';
+import { basename, extname, join, resolve } from 'path';
+
+import { isSkippedDirectory } from './list-files.js';
+
+export type Language = 'typescript' | 'python' | 'markdown';
+
+// How deep to look for marker files (e.g. packages/*/package.json in a monorepo)
+const MAX_DEPTH = 4;
+
+const MARKER_FILES = new Map<string, Language>([
+  ['package.json', 'typescript'],
+  ['tsconfig.json', 'typescript'],
+  ['pyproject.toml', 'python'],
+  ['setup.cfg', 'python'],
+  ['setup.py', 'python'],
+]);
+
+const EXTENSIONS = new Map<string, Language>([
+  ['.ts', 'typescript'],
+  ['.tsx', 'typescript'],
+  ['.js', 'typescript'],
+  ['.jsx', 'typescript'],
+  ['.mjs', 'typescript'],
+  ['.cjs', 'typescript'],
+  ['.py', 'python'],
+  ['.md', 'markdown'],
+]);
+
+function languageOf(fileName: string): Language | undefined {
+  return MARKER_FILES.get(fileName) ?? EXTENSIONS.get(extname(fileName));
+}
+
+async function walk(directory: string, depth: number, found: Set<Language>): Promise<void> {
+  let entries;
+  try {
+    entries = await readdir(directory, { withFileTypes: true });
+  } catch {
+    return;
+  }
+
+  for (const entry of entries) {
+    if (entry.isFile()) {
+      const language = languageOf(entry.name);
+      if (language) {
+        found.add(language);
+      }
+    } else if (entry.isDirectory() && depth < MAX_DEPTH && !isSkippedDirectory(entry.name)) {
+      await walk(join(directory, entry.name), depth + 1, found);
+    }
+  }
+}
+
+/**
+ * Detect every language present at a path. Files are classified by name; directories
+ * are walked for marker files (package.json, tsconfig.json, pyproject.toml, setup.cfg)
+ * and source extensions, so polyglot monorepos report all of their languages.
+ */
+export async function detectLanguages(path: string): Promise<Language[]> {
+  const resolvedPath = resolve(path);
+  const found = new Set<Language>();
+
+  try {
+    const stats = await stat(resolvedPath);
+    if (stats.isDirectory()) {
+      await walk(resolvedPath, 0, found);
+    } else {
+      const language = languageOf(basename(resolvedPath));
+      if (language) {
+        found.add(language);
+      }
+    }
+  } catch {
+    // Missing path: fall through to the default below
+  }
+
+  // Default to TypeScript when nothing recognizable was found
+  return found.size > 0 ? Array.from(found) : ['typescript'];
+}
+
+/**
+ * Resolve the `language` tool input to the list of toolchains to run.
+ */
+export async function resolveLanguages(
+  path: string,
+  language: Language | 'auto'
+): Promise<Language[]> {
+  return language === 'auto' ? detectLanguages(path) : [language];
+}
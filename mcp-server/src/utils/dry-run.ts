@@ -0,0 +1,89 @@
+import { readFile } from 'fs/promises';
+
+import { createTwoFilesPatch } from 'diff';
+
+import { ResolvedEslintConfig } from '../runners/eslint-config.js';
+import { EslintFixPreview, previewEslintFixes } from '../runners/eslint.js';
+import { formatSource, PRETTIER_RULE, runPrettier } from '../runners/prettier.js';
+
+export interface FileDiff {
+  file: string;
+  diff: string;
+}
+
+export interface DryRunResult {
+  eslint: number;
+  prettier: number;
+  // Fixes per rule, with Prettier's files counted under prettier/prettier
+  byRule: Record<string, number>;
+  diffs: FileDiff[];
+}
+
+function addCount(counts: Map<string, number>, rule: string, count: number): void {
+  counts.set(rule, (counts.get(rule) ?? 0) + count);
+}
+
+async function formatOrKeep(file: string, source: string): Promise<string> {
+  try {
+    return await formatSource(file, source);
+  } catch (error) {
+    // Unparseable files are left as ESLint produced them
+    console.error('Prettier error:', error);
+    return source;
+  }
+}
+
+interface PreviewOptions {
+  // The config to preview ESLint fixes with, if any
+  eslint?: ResolvedEslintConfig;
+  prettier: boolean;
+  files?: string[];
+  // Limits the fixes to the rules it accepts
+  selectRule?: (rule: string) => boolean;
+}
+
+function getEslintPreview(
+  path: string,
+  options: PreviewOptions,
+  selectRule: (rule: string) => boolean
+): Promise<EslintFixPreview> {
+  if (!options.eslint) {
+    return Promise.resolve({ fixed: 0, fixedByRule: new Map(), outputs: new Map() });
+  }
+  return previewEslintFixes(path, options.files, options.eslint, selectRule);
+}
+
+/**
+ * Compute what `fix` would change for ESLint and Prettier without writing anything:
+ * fixes and formatting are applied in memory and returned as unified diffs.
+ */
+export async function previewFixes(path: string, options: PreviewOptions): Promise<DryRunResult> {
+  const { selectRule = () => true } = options;
+  const eslint = await getEslintPreview(path, options, selectRule);
+
+  const prettier = options.prettier && selectRule(PRETTIER_RULE);
+  const unformatted = prettier ? (await runPrettier(path, false, options.files)).unformatted : [];
+  const files = new Set([...eslint.outputs.keys(), ...unformatted]);
+
+  const result: DryRunResult = { eslint: eslint.fixed, prettier: 0, byRule: {}, diffs: [] };
+  const byRule = new Map(eslint.fixedByRule);
+
+  for (const file of files) {
+    const source = await readFile(file, 'utf8');
+    const fixed = eslint.outputs.get(file) ?? source;
+    const output = prettier ? await formatOrKeep(file, fixed) : fixed;
+
+    if (output !== fixed) {
+      result.prettier++;
+    }
+    if (output !== source) {
+      result.diffs.push({ file, diff: createTwoFilesPatch(file, file, source, output) });
+    }
+  }
+
+  if (result.prettier > 0) {
+    // ESLint may have fixed prettier/prettier problems already
+    addCount(byRule, PRETTIER_RULE, result.prettier);
+  }
+  return { ...result, byRule: Object.fromEntries(byRule) };
+}
@@ -0,0 +1,84 @@
+import { createHash } from 'crypto';
+
+// Consecutive significant lines a block must span to count as duplicated
+const MIN_BLOCK_LINES = 6;
+
+// Lines that say nothing on their own (`}`, `});`), comments and imports, which
+// repeat across files without being copied code
+const PUNCTUATION_LINE = /^[\s()[\]{};,]*$/;
+const COMMENT_OR_IMPORT_LINE = /^(\/\/|\/\*|\*|import\b)/;
+
+export interface FileDuplication {
+  // Non-blank lines, and how many of them are part of a block repeated elsewhere
+  lines: number;
+  duplicatedLines: number;
+}
+
+interface SignificantLines {
+  // 1-based line numbers, and the lines with whitespace normalized
+  numbers: number[];
+  texts: string[];
+  nonBlank: number;
+}
+
+interface Block {
+  file: string;
+  // Index into the file's significant lines
+  start: number;
+}
+
+function getSignificantLines(source: string): SignificantLines {
+  const result: SignificantLines = { numbers: [], texts: [], nonBlank: 0 };
+
+  source.split('\n').forEach((line, index) => {
+    const text = line.replaceAll(/\s+/g, ' ').trim();
+    if (text !== '') {
+      result.nonBlank++;
+    }
+    if (!PUNCTUATION_LINE.test(text) && !COMMENT_OR_IMPORT_LINE.test(text)) {
+      result.numbers.push(index + 1);
+      result.texts.push(text);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Find blocks of MIN_BLOCK_LINES or more significant lines that appear more than
+ * once, in the same file or across files, and count each file's duplicated lines.
+ */
+export function measureDuplication(sources: Map<string, string>): Map<string, FileDuplication> {
+  const significant = new Map<string, SignificantLines>();
+  const blocks = new Map<string, Block[]>();
+
+  for (const [file, source] of sources) {
+    const lines = getSignificantLines(source);
+    significant.set(file, lines);
+
+    for (let start = 0; start + MIN_BLOCK_LINES <= lines.texts.length; start++) {
+      const block = lines.texts.slice(start, start + MIN_BLOCK_LINES).join('\n');
+      const key = createHash('sha1').update(block).digest('hex');
+      const occurrences = blocks.get(key) ?? [];
+      occurrences.push({ file, start });
+      blocks.set(key, occurrences);
+    }
+  }
+
+  const duplicated = new Map<string, Set<number>>();
+  for (const occurrences of blocks.values()) {
+    for (const { file, start } of occurrences.length > 1 ? occurrences : []) {
+      const numbers = significant.get(file)?.numbers.slice(start, start + MIN_BLOCK_LINES) ?? [];
+      const lines = duplicated.get(file) ?? new Set<number>();
+      numbers.forEach((line) => lines.add(line));
+      duplicated.set(file, lines);
+    }
+  }
+
+  return new Map(
+    Array.from(significant, ([file, lines]) => [
+      file,
+      { lines: lines.nonBlank, duplicatedLines: duplicated.get(file)?.size ?? 0 },
+    ])
+  );
+}
@@ -0,0 +1,44 @@
+import { matchesAnyGlob } from './rule-glob.js';
+
+export interface IssueFilter {
+  // Rule globs to include (e.g. `sonarjs/*`); all rules when omitted
+  rules?: string[];
+  // Rule globs to exclude, applied after `rules`
+  excludeRules?: string[];
+  minSeverity?: 'error' | 'warning';
+  onlyFixable?: boolean;
+  onlyClaudeFixable?: boolean;
+}
+
+interface FilterableIssue {
+  rule: string;
+  severity: 'error' | 'warning';
+  fixable: boolean;
+  claudeFixable: boolean;
+}
+
+/**
+ * Whether rule is selected by the filter's `rules` and `excludeRules` globs.
+ */
+export function matchesRules(
+  rule: string,
+  filter: Pick<IssueFilter, 'rules' | 'excludeRules'>
+): boolean {
+  const { rules, excludeRules } = filter;
+  if (rules && rules.length > 0 && !matchesAnyGlob(rule, rules)) {
+    return false;
+  }
+  return !excludeRules || !matchesAnyGlob(rule, excludeRules);
+}
+
+export function filterIssues<T extends FilterableIssue>(issues: T[], filter: IssueFilter): T[] {
+  const { minSeverity, onlyFixable, onlyClaudeFixable } = filter;
+
+  return issues.filter(
+    (issue) =>
+      matchesRules(issue.rule, filter) &&
+      (minSeverity !== 'error' || issue.severity === 'error') &&
+      (!onlyFixable || issue.fixable) &&
+      (!onlyClaudeFixable || issue.claudeFixable)
+  );
+}
@@ -0,0 +1,50 @@
+import { FixabilityBucket } from './project-config.js';
+import { matchesGlob } from './rule-glob.js';
+
+interface ClassifiedIssue {
+  rule: string;
+  fixable: boolean;
+  claudeFixable: boolean;
+  manualOnly: boolean;
+}
+
+/**
+ * The bucket the project's fixability overrides put rule in, if any.
+ */
+export function findBucket(
+  rule: string,
+  overrides: Record<string, FixabilityBucket>
+): FixabilityBucket | undefined {
+  const entries = Object.entries(overrides);
+
+  // An exact rule id wins over any glob
+  const exact = entries.find(([pattern]) => pattern === rule);
+  const match = exact ?? entries.find(([pattern]) => matchesGlob(rule, pattern));
+  return match?.[1];
+}
+
+/**
+ * Reclassify issues whose rule is listed in the project's fixability overrides.
+ * Each issue ends up in exactly one of the three buckets.
+ */
+export function applyFixabilityOverrides<T extends ClassifiedIssue>(
+  issues: T[],
+  overrides: Record<string, FixabilityBucket> | undefined
+): T[] {
+  if (!overrides || Object.keys(overrides).length === 0) {
+    return issues;
+  }
+
+  return issues.map((issue) => {
+    const bucket = findBucket(issue.rule, overrides);
+    if (!bucket) {
+      return issue;
+    }
+    return {
+      ...issue,
+      fixable: bucket === 'auto',
+      claudeFixable: bucket === 'claude',
+      manualOnly: bucket === 'manual',
+    };
+  });
+}
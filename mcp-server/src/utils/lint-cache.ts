@@ -0,0 +1,250 @@
+import { createHash } from 'crypto';
+import { existsSync } from 'fs';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join, resolve } from 'path';
+
+import { getBlackVersion, usesBlack } from '../runners/black.js';
+import { ResolvedEslintConfig } from '../runners/eslint-config.js';
+import { ESLINT_EXTENSIONS, getEslintVersion, readsOtherFiles } from '../runners/eslint.js';
+import { getMarkdownlintVersion } from '../runners/markdownlint.js';
+import { getPrettierVersion, PRETTIER_EXTENSIONS } from '../runners/prettier.js';
+import { getRuffVersion, PYTHON_EXTENSIONS } from '../runners/ruff.js';
+import { findTsconfig } from '../runners/tsc.js';
+
+import { Language } from './detect-language.js';
+import { listFiles } from './list-files.js';
+import { findUpDirectory, getAncestorDirectories, getWorkingDirectory } from './paths.js';
+
+// Bump when the shape or meaning of cached results changes
+const CACHE_VERSION = '2';
+
+// Project files that change what the linters report, looked up at and above the target
+const CONFIG_FILES = [
+  '.editorconfig',
+  '.gitignore',
+  '.prettierignore',
+  '.prettierrc',
+  '.prettierrc.json',
+  '.prettierrc.yaml',
+  '.prettierrc.yml',
+  '.prettierrc.js',
+  '.prettierrc.cjs',
+  '.prettierrc.mjs',
+  'prettier.config.js',
+  'prettier.config.cjs',
+  'prettier.config.mjs',
+  '.markdownlint.json',
+  '.markdownlint.jsonc',
+  '.markdownlint.yaml',
+  '.markdownlint.yml',
+  '.markdownlintrc',
+  'ruff.toml',
+  '.ruff.toml',
+  'pyproject.toml',
+  'package.json',
+  'package-lock.json',
+  'tsconfig.json',
+];
+
+export interface CacheStats {
+  hits: number;
+  misses: number;
+}
+
+interface CacheEntry<T> {
+  hash: string;
+  value: T;
+}
+
+// On-disk format; entries are [file, entry] pairs
+interface CacheFile<T> {
+  key: string;
+  entries: [string, CacheEntry<T>][];
+}
+
+export interface ResultCache<T> {
+  file: string;
+  key: string;
+  entries: Map<string, CacheEntry<T>>;
+  stats: CacheStats;
+}
+
+function hash(content: string | Buffer): string {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+function getCacheDirectory(targetPath: string): string {
+  // node_modules/.cache of the nearest package, like other tools' caches
+  const directory = findUpDirectory(getWorkingDirectory(targetPath), (d) =>
+    existsSync(join(d, 'package.json'))
+  );
+  if (directory === undefined) {
+    // Not a Node project (e.g. Python only): keep the cache out of the tree
+    return join(tmpdir(), 'sca-mcp', hash(resolve(targetPath)).slice(0, 16));
+  }
+  return join(directory, 'node_modules', '.cache', 'sca-mcp');
+}
+
+async function readIfExists(file: string): Promise<string> {
+  try {
+    return await readFile(file, 'utf8');
+  } catch {
+    return '';
+  }
+}
+
+async function getVersions(path: string, languages: Language[], name: string): Promise<string[]> {
+  const versions: string[] = [];
+
+  if (languages.includes('typescript')) {
+    versions.push(`eslint ${getEslintVersion()}`);
+  }
+  if (languages.includes('typescript') || languages.includes('markdown')) {
+    versions.push(`prettier ${getPrettierVersion()}`);
+  }
+  if (languages.includes('markdown')) {
+    versions.push(`markdownlint ${getMarkdownlintVersion()}`);
+  }
+  if (languages.includes('python')) {
+    versions.push(await getRuffVersion());
+  }
+  if (languages.includes('python') && name === 'fix' && usesBlack(path)) {
+    versions.push(await getBlackVersion());
+  }
+
+  return versions;
+}
+
+// Type-aware and import rules report on a file based on the files it imports, so
+// with those enabled, any source change in the project starts a fresh cache
+async function getProjectHash(path: string, eslintConfig: ResolvedEslintConfig): Promise<string> {
+  const tsconfig = findTsconfig(path);
+  const files = await listFiles(tsconfig ? dirname(tsconfig) : path, ESLINT_EXTENSIONS);
+  if (files.length === 0 || !(await readsOtherFiles(path, files[0], eslintConfig))) {
+    return '';
+  }
+
+  const hashes: string[] = [];
+  for (const file of files) {
+    hashes.push(`${file}:${(await hashFile(file)) ?? ''}`);
+  }
+  return hash(hashes.join('\n'));
+}
+
+/**
+ * Key for a set of cached results: runner versions plus the contents of every
+ * config file that applies to path, and of every source file in the project when
+ * ESLint's results depend on other files. Any change starts a fresh cache.
+ */
+export async function getCacheKey(
+  path: string,
+  name: string,
+  languages: Language[],
+  eslintConfig?: ResolvedEslintConfig
+): Promise<string> {
+  const parts = [CACHE_VERSION, name, ...languages, ...(await getVersions(path, languages, name))];
+
+  if (eslintConfig) {
+    parts.push(eslintConfig.mode, eslintConfig.file, await readIfExists(eslintConfig.file));
+    if (eslintConfig.projectFile && eslintConfig.projectFile !== eslintConfig.file) {
+      parts.push(await readIfExists(eslintConfig.projectFile));
+    }
+    parts.push(await getProjectHash(path, eslintConfig));
+  }
+
+  for (const directory of getAncestorDirectories(getWorkingDirectory(path))) {
+    for (const file of CONFIG_FILES) {
+      const configPath = join(directory, file);
+      if (existsSync(configPath)) {
+        parts.push(configPath, await readIfExists(configPath));
+      }
+    }
+  }
+
+  return hash(parts.join('\0'));
+}
+
+/**
+ * The extensions of every file the given languages' runners look at.
+ */
+export function getCachedExtensions(languages: Language[]): string[] {
+  const extensions = new Set<string>();
+  if (languages.includes('typescript')) {
+    [...ESLINT_EXTENSIONS, ...PRETTIER_EXTENSIONS].forEach((ext) => extensions.add(ext));
+  }
+  if (languages.includes('markdown')) {
+    extensions.add('.md');
+  }
+  if (languages.includes('python')) {
+    PYTHON_EXTENSIONS.forEach((ext) => extensions.add(ext));
+  }
+  return Array.from(extensions);
+}
+
+/**
+ * Open the `name` cache for path. Entries saved under a different key are dropped.
+ */
+export async function openCache<T>(
+  targetPath: string,
+  name: string,
+  key: string
+): Promise<ResultCache<T>> {
+  const file = join(getCacheDirectory(targetPath), `${name}.json`);
+  const cache: ResultCache<T> = { file, key, entries: new Map(), stats: { hits: 0, misses: 0 } };
+
+  try {
+    const saved = JSON.parse(await readFile(file, 'utf8')) as CacheFile<T>;
+    if (saved.key === key) {
+      cache.entries = new Map(saved.entries);
+    }
+  } catch {
+    // Missing or unreadable cache: start empty
+  }
+
+  return cache;
+}
+
+export async function hashFile(file: string): Promise<string | undefined> {
+  try {
+    return hash(await readFile(file));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Look up file's cached value, counting the hit or miss. Returns the file's
+ * content hash for storing a fresh value.
+ */
+export async function lookup<T>(
+  cache: ResultCache<T>,
+  file: string
+): Promise<{ hash?: string; value?: T }> {
+  const fileHash = await hashFile(file);
+  const entry = cache.entries.get(resolve(file));
+
+  if (fileHash !== undefined && entry?.hash === fileHash) {
+    cache.stats.hits++;
+    return { hash: fileHash, value: entry.value };
+  }
+
+  cache.stats.misses++;
+  return { hash: fileHash };
+}
+
+export function store<T>(cache: ResultCache<T>, file: string, fileHash: string, value: T): void {
+  cache.entries.set(resolve(file), { hash: fileHash, value });
+}
+
+export async function saveCache<T>(cache: ResultCache<T>): Promise<void> {
+  const saved: CacheFile<T> = { key: cache.key, entries: Array.from(cache.entries) };
+
+  try {
+    await mkdir(dirname(cache.file), { recursive: true });
+    await writeFile(cache.file, JSON.stringify(saved));
+  } catch (error) {
+    // A cache that can't be written only costs speed
+    console.error('Cache error:', error);
+  }
+}
@@ -0,0 +1,56 @@
+import { readdir, stat } from 'fs/promises';
+import { extname, join, resolve } from 'path';
+
+// Directories never worth walking into when collecting or detecting source files
+export const SKIPPED_DIRECTORIES = new Set([
+  'node_modules',
+  'dist',
+  'build',
+  'coverage',
+  'venv',
+  '__pycache__',
+]);
+
+/**
+ * Whether a directory named `name` is skipped when collecting source files.
+ */
+export function isSkippedDirectory(name: string): boolean {
+  return name.startsWith('.') || SKIPPED_DIRECTORIES.has(name);
+}
+
+async function walk(directory: string, extensions: string[], files: string[]): Promise<void> {
+  const entries = await readdir(directory, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!isSkippedDirectory(entry.name)) {
+        await walk(entryPath, extensions, files);
+      }
+    } else if (entry.isFile() && extensions.includes(extname(entry.name))) {
+      files.push(entryPath);
+    }
+  }
+}
+
+/**
+ * List the files with one of the given extensions at targetPath: the path itself
+ * when it is a file, otherwise every match below it (skipping dependency, build
+ * and hidden directories).
+ */
+export async function listFiles(targetPath: string, extensions: string[]): Promise<string[]> {
+  const resolvedPath = resolve(targetPath);
+
+  try {
+    const stats = await stat(resolvedPath);
+    if (stats.isFile()) {
+      return extensions.includes(extname(resolvedPath)) ? [resolvedPath] : [];
+    }
+
+    const files: string[] = [];
+    await walk(resolvedPath, extensions, files);
+    return files;
+  } catch {
+    return [];
+  }
+}
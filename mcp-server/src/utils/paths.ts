@@ -0,0 +1,36 @@
+import { existsSync, statSync } from 'fs';
+import { dirname, resolve } from 'path';
+
+/**
+ * The directory a target path stands for: the one holding it when it is a file,
+ * otherwise the path itself (which may not exist yet).
+ */
+export function getWorkingDirectory(targetPath: string): string {
+  const resolvedPath = resolve(targetPath);
+  if (existsSync(resolvedPath) && statSync(resolvedPath).isFile()) {
+    return dirname(resolvedPath);
+  }
+  return resolvedPath;
+}
+
+/**
+ * `directory` and each directory above it, nearest first, up to the filesystem root.
+ */
+export function getAncestorDirectories(directory: string): string[] {
+  const directories = [resolve(directory)];
+  for (let current = directories[0]; dirname(current) !== current; current = dirname(current)) {
+    directories.push(dirname(current));
+  }
+  return directories;
+}
+
+/**
+ * The nearest directory at or above `directory` that `matches` accepts, e.g. the
+ * one holding a project's config file.
+ */
+export function findUpDirectory(
+  directory: string,
+  matches: (directory: string) => boolean
+): string | undefined {
+  return getAncestorDirectories(directory).find(matches);
+}
@@ -0,0 +1,44 @@
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { join, resolve } from 'path';
+
+import { findUpDirectory } from './paths.js';
+
+export const PROJECT_CONFIG_FILE = '.sca-mcp.json';
+
+export type FixabilityBucket = 'auto' | 'claude' | 'manual';
+
+export interface ProjectConfig {
+  // Rule id or glob (e.g. `unicorn/no-null`, `security/*`) to fixability bucket
+  fixability?: Record<string, FixabilityBucket>;
+}
+
+async function readConfig(file: string): Promise<ProjectConfig | undefined> {
+  let contents: string;
+  try {
+    contents = await readFile(file, 'utf8');
+  } catch {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(contents) as ProjectConfig;
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Invalid ${PROJECT_CONFIG_FILE} at ${file}: ${message}`);
+  }
+}
+
+/**
+ * Load the nearest .sca-mcp.json at or above targetPath. Returns an empty
+ * config when the project has none.
+ */
+export async function loadProjectConfig(targetPath: string): Promise<ProjectConfig> {
+  const directory = findUpDirectory(resolve(targetPath), (d) =>
+    existsSync(join(d, PROJECT_CONFIG_FILE))
+  );
+  if (directory === undefined) {
+    return {};
+  }
+  return (await readConfig(join(directory, PROJECT_CONFIG_FILE))) ?? {};
+}
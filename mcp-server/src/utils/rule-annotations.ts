@@ -0,0 +1,98 @@
+export interface RuleAnnotation {
+  // Section of the config the rule is listed under, e.g. "Complexity limits"
+  category?: string;
+  // Comment heading the rule's group within the section, e.g. "Avoid common bugs"
+  group?: string;
+  // Trailing comment on the rule's line
+  note?: string;
+}
+
+interface Heading {
+  title: string;
+}
+
+const MIRRORS_PATTERN = /\(mirrors Python [^)]+\)/;
+const RULE_KEY_PATTERN = /^'([^']+)':|^([\w-]+):/;
+
+function parseHeading(comment: string): Heading {
+  // The Python rules a section mirrors come from the equivalence map instead
+  const title = comment.replace(MIRRORS_PATTERN, '').trim();
+
+  // "COMPLEXITY LIMITS" reads better as "Complexity limits"
+  const [heading, ...rest] = title.split(' (');
+  if (heading !== heading.toUpperCase()) {
+    return { title };
+  }
+  const readable = heading.charAt(0) + heading.slice(1).toLowerCase();
+  return { title: [readable, ...rest].join(' (') };
+}
+
+function toAnnotation(section?: Heading, group?: Heading, note?: string): RuleAnnotation {
+  return {
+    category: section?.title,
+    group: group?.title,
+    note,
+  };
+}
+
+interface ParserState {
+  annotations: Map<string, RuleAnnotation>;
+  section?: Heading;
+  group?: Heading;
+  inBanner: boolean;
+  // Indentation of the `rules: {` line while inside a rules object
+  rulesIndent?: number;
+}
+
+function parseComment(state: ParserState, comment: string, indent: number): void {
+  if (comment.startsWith('===')) {
+    state.inBanner = !state.inBanner;
+  } else if (state.inBanner || state.rulesIndent === undefined) {
+    // Banners inside rules, and comments above a config block, start a new section
+    state.section = parseHeading(comment);
+    state.group = undefined;
+  } else if (indent === state.rulesIndent + 2 && !comment.startsWith('Note:')) {
+    state.group = parseHeading(comment);
+  }
+}
+
+function parseRule(state: ParserState, line: string): void {
+  const match = RULE_KEY_PATTERN.exec(line.trim());
+  const rule = match?.[1] ?? match?.[2];
+  // The first listing is the main one; later blocks only adjust rules for some files
+  if (rule && !state.annotations.has(rule)) {
+    const noteIndex = line.lastIndexOf(' // ');
+    const note = noteIndex === -1 ? undefined : line.slice(noteIndex + 4).trim();
+    state.annotations.set(rule, toAnnotation(state.section, state.group, note));
+  }
+}
+
+/**
+ * Read the section banners and comments of an ESLint config file (as formatted in
+ * typescript/eslint.config.js) into per-rule annotations.
+ */
+export function parseRuleAnnotations(source: string): Map<string, RuleAnnotation> {
+  const state: ParserState = { annotations: new Map(), inBanner: false };
+
+  for (const line of source.split('\n')) {
+    const trimmed = line.trim();
+    const indent = line.length - line.trimStart().length;
+
+    if (trimmed.startsWith('// ')) {
+      parseComment(state, trimmed.slice(3).trim(), indent);
+    } else if (trimmed === 'rules: {') {
+      state.rulesIndent = indent;
+    } else if (
+      state.rulesIndent !== undefined &&
+      indent === state.rulesIndent &&
+      trimmed === '},'
+    ) {
+      state.rulesIndent = undefined;
+      state.group = undefined;
+    } else if (state.rulesIndent !== undefined && indent === state.rulesIndent + 2) {
+      parseRule(state, line);
+    }
+  }
+
+  return state.annotations;
+}
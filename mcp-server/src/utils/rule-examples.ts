@@ -0,0 +1,214 @@
+export interface RuleExample {
+  before: string;
+  after: string;
+}
+
+// Before/after snippets for the rules agents most often have to fix by hand
+const RULE_EXAMPLES = new Map<string, RuleExample>([
+  [
+    'complexity',
+    {
+      before: `function price(order) {
+  if (order.coupon) {
+    if (order.coupon.expired) return order.total;
+    if (order.coupon.type === 'percent') return order.total * (1 - order.coupon.value);
+    if (order.coupon.type === 'fixed') return order.total - order.coupon.value;
+  }
+  return order.total;
+}`,
+      after: `const DISCOUNTS = {
+  percent: (total, value) => total * (1 - value),
+  fixed: (total, value) => total - value,
+};
+
+function price(order) {
+  const { coupon } = order;
+  if (!coupon || coupon.expired) return order.total;
+  const discount = DISCOUNTS[coupon.type];
+  return discount ? discount(order.total, coupon.value) : order.total;
+}`,
+    },
+  ],
+  [
+    'sonarjs/cognitive-complexity',
+    {
+      before: `for (const user of users) {
+  if (user.active) {
+    for (const role of user.roles) {
+      if (role === 'admin') {
+        admins.push(user);
+      }
+    }
+  }
+}`,
+      after: `const isAdmin = (user) => user.active && user.roles.includes('admin');
+const admins = users.filter(isAdmin);`,
+    },
+  ],
+  [
+    'max-depth',
+    {
+      before: `if (a) {
+  if (b) {
+    if (c) {
+      if (d) {
+        if (e) run();
+      }
+    }
+  }
+}`,
+      after: `if (!a || !b || !c || !d) return;
+if (e) run();`,
+    },
+  ],
+  [
+    'max-params',
+    {
+      before: `function createUser(name, email, age, role, team, manager) {}`,
+      after: `interface NewUser {
+  name: string;
+  email: string;
+  age: number;
+  role: string;
+  team: string;
+  manager: string;
+}
+
+function createUser(user: NewUser) {}`,
+    },
+  ],
+  [
+    'max-lines-per-function',
+    {
+      before: `async function handler(req) {
+  // ...validate input (20 lines)
+  // ...load data (20 lines)
+  // ...render response (20 lines)
+}`,
+      after: `async function handler(req) {
+  const input = validate(req);
+  const data = await load(input);
+  return render(data);
+}`,
+    },
+  ],
+  [
+    '@typescript-eslint/no-explicit-any',
+    {
+      before: `function parse(body: any) {
+  return body.items;
+}`,
+      after: `interface Body {
+  items: string[];
+}
+
+function parse(body: Body): string[] {
+  return body.items;
+}`,
+    },
+  ],
+  [
+    '@typescript-eslint/explicit-function-return-type',
+    {
+      before: `function total(items: Item[]) {
+  return items.reduce((sum, item) => sum + item.price, 0);
+}`,
+      after: `function total(items: Item[]): number {
+  return items.reduce((sum, item) => sum + item.price, 0);
+}`,
+    },
+  ],
+  [
+    '@typescript-eslint/no-unused-vars',
+    {
+      before: `function onClick(event, index) {
+  save();
+}`,
+      after: `function onClick(_event) {
+  save();
+}`,
+    },
+  ],
+  [
+    '@typescript-eslint/no-floating-promises',
+    {
+      before: `save(record);`,
+      after: `await save(record);
+// or, when the result really isn't needed:
+void save(record).catch(logError);`,
+    },
+  ],
+  [
+    '@typescript-eslint/strict-boolean-expressions',
+    {
+      before: `if (user.name) greet(user);`,
+      after: `if (user.name !== undefined && user.name !== '') greet(user);`,
+    },
+  ],
+  [
+    '@typescript-eslint/naming-convention',
+    {
+      before: `const user_name = 'ada';
+interface userProps {}`,
+      after: `const userName = 'ada';
+interface UserProps {}`,
+    },
+  ],
+  [
+    'security/detect-object-injection',
+    {
+      before: `const handlers: Record<string, Handler> = { ... };
+handlers[request.type](request);`,
+      after: `const handlers = new Map<string, Handler>([...]);
+handlers.get(request.type)?.(request);`,
+    },
+  ],
+  [
+    'security/detect-unsafe-regex',
+    {
+      before: `const pattern = /^(\\w+\\s?)+$/;`,
+      after: `const pattern = /^[\\w\\s]+$/;`,
+    },
+  ],
+  [
+    'import/no-cycle',
+    {
+      before: `// a.ts
+import { b } from './b';
+// b.ts
+import { a } from './a';`,
+      after: `// shared.ts holds what both need
+// a.ts
+import { shared } from './shared';
+// b.ts
+import { shared } from './shared';`,
+    },
+  ],
+  [
+    'unicorn/no-null',
+    {
+      before: `let selected = null;`,
+      after: `let selected: Item | undefined;`,
+    },
+  ],
+  [
+    'eqeqeq',
+    {
+      before: `if (count == '0') reset();`,
+      after: `if (count === 0) reset();`,
+    },
+  ],
+  [
+    'no-await-in-loop',
+    {
+      before: `for (const id of ids) {
+  results.push(await fetchUser(id));
+}`,
+      after: `const results = await Promise.all(ids.map((id) => fetchUser(id)));`,
+    },
+  ],
+]);
+
+export function getRuleExample(rule: string): RuleExample | undefined {
+  return RULE_EXAMPLES.get(rule);
+}
@@ -0,0 +1,32 @@
+/**
+ * Match a rule id against a glob pattern where `*` matches any run of characters,
+ * e.g. `sonarjs/*` or `@typescript-eslint/no-unsafe-*`.
+ */
+export function matchesGlob(rule: string, pattern: string): boolean {
+  const parts = pattern.split('*');
+  if (parts.length === 1) {
+    return rule === pattern;
+  }
+
+  const first = parts[0];
+  const last = parts.at(-1) ?? '';
+  if (rule.length < first.length + last.length || !rule.startsWith(first) || !rule.endsWith(last)) {
+    return false;
+  }
+
+  // Match the middle parts in order between the fixed prefix and suffix
+  let index = first.length;
+  for (const part of parts.slice(1, -1)) {
+    const found = rule.indexOf(part, index);
+    if (found === -1) {
+      return false;
+    }
+    index = found + part.length;
+  }
+
+  return index <= rule.length - last.length;
+}
+
+export function matchesAnyGlob(rule: string, patterns: string[]): boolean {
+  return patterns.some((pattern) => matchesGlob(rule, pattern));
+}
@@ -0,0 +1,194 @@
+import { readFile, writeFile } from 'fs/promises';
+
+import { ESLINT_EXTENSIONS } from '../runners/eslint.js';
+import { runMypy } from '../runners/mypy.js';
+import { PYTHON_EXTENSIONS, runRuff } from '../runners/ruff.js';
+import { findTsc, runTsc, toTscRule } from '../runners/tsc.js';
+
+import { filterByExtension } from './changed-files.js';
+import { Language } from './detect-language.js';
+import { listFiles } from './list-files.js';
+
+export interface RolledBackFile {
+  file: string;
+  // The new errors that got the file's fixes undone, e.g. "/src/a.ts:3:7 ts(2322) Type ..."
+  errors: string[];
+}
+
+export interface Verification {
+  // The checkers that were run, e.g. ["tsc"] or ["mypy", "ruff"]
+  checkers: string[];
+  rolledBack: RolledBackFile[];
+}
+
+interface Diagnostic {
+  file: string;
+  line: number;
+  column: number;
+  code: string;
+  message: string;
+}
+
+interface Checker {
+  name: string;
+  extensions: string[];
+  check: (path: string, files?: string[]) => Promise<Diagnostic[]>;
+}
+
+async function checkTypes(path: string): Promise<Diagnostic[]> {
+  return (await runTsc(path))
+    .filter((m) => m.severity === 'error')
+    .map((m) => ({ ...m, code: toTscRule(m.code) }));
+}
+
+async function checkMypy(path: string, files?: string[]): Promise<Diagnostic[]> {
+  return (await runMypy(path, files))
+    .filter((m) => m.severity === 'error')
+    .map((m) => ({ ...m, code: m.code ?? 'mypy' }));
+}
+
+async function checkSyntax(path: string, files?: string[]): Promise<Diagnostic[]> {
+  // Older ruff versions report syntax errors as E999, newer ones without a code
+  return (await runRuff(path, false, files))
+    .filter((m) => m.code === null || m.code === 'E999')
+    .map((m) => ({
+      file: m.filename,
+      line: m.location.row,
+      column: m.location.column,
+      code: 'syntax-error',
+      message: m.message,
+    }));
+}
+
+function getCheckers(path: string, languages: Language[]): Checker[] {
+  const checkers: Checker[] = [];
+  // Without a tsconfig.json there is no project to type-check, and without a
+  // compiler no way to; either way tsc isn't reported as having checked anything
+  if (languages.includes('typescript') && findTsc(path)) {
+    checkers.push({ name: 'tsc', extensions: ESLINT_EXTENSIONS, check: checkTypes });
+  }
+  if (languages.includes('python')) {
+    checkers.push(
+      { name: 'mypy', extensions: PYTHON_EXTENSIONS, check: checkMypy },
+      { name: 'ruff', extensions: PYTHON_EXTENSIONS, check: checkSyntax }
+    );
+  }
+  return checkers;
+}
+
+async function runCheckers(
+  checkers: Checker[],
+  path: string,
+  files?: string[]
+): Promise<Diagnostic[]> {
+  const diagnostics: Diagnostic[] = [];
+  for (const checker of checkers) {
+    diagnostics.push(...(await checker.check(path, files)));
+  }
+  return diagnostics;
+}
+
+function findIntroduced(before: Diagnostic[], after: Diagnostic[]): Diagnostic[] {
+  // Matched on file, code and message rather than position, since fixes move lines
+  const key = (d: Diagnostic): string => `${d.file}\n${d.code}\n${d.message}`;
+  const remaining = new Map<string, number>();
+  for (const diagnostic of before) {
+    remaining.set(key(diagnostic), (remaining.get(key(diagnostic)) ?? 0) + 1);
+  }
+
+  return after.filter((diagnostic) => {
+    const count = remaining.get(key(diagnostic)) ?? 0;
+    remaining.set(key(diagnostic), count - 1);
+    return count <= 0;
+  });
+}
+
+function describe(diagnostic: Diagnostic): string {
+  const { file, line, column, code, message } = diagnostic;
+  return `${file}:${line}:${column} ${code} ${message}`;
+}
+
+async function snapshot(
+  path: string,
+  files: string[] | undefined,
+  extensions: string[]
+): Promise<Map<string, string>> {
+  const targets = files ? filterByExtension(files, extensions) : await listFiles(path, extensions);
+  const contents = new Map<string, string>();
+  for (const file of targets) {
+    contents.set(file, await readFile(file, 'utf8'));
+  }
+  return contents;
+}
+
+async function findChanged(originals: Map<string, string>): Promise<string[]> {
+  const changed: string[] = [];
+  for (const [file, original] of originals) {
+    const current = await readFile(file, 'utf8').catch(() => undefined);
+    if (current !== original) {
+      changed.push(file);
+    }
+  }
+  return changed;
+}
+
+async function rollBack(
+  files: string[],
+  originals: Map<string, string>,
+  getErrors: (file: string) => Diagnostic[]
+): Promise<RolledBackFile[]> {
+  const rolledBack: RolledBackFile[] = [];
+  for (const file of files) {
+    const errors = getErrors(file);
+    const original = originals.get(file);
+    if (errors.length > 0 && original !== undefined) {
+      await writeFile(file, original);
+      rolledBack.push({ file, errors: errors.map(describe) });
+    }
+  }
+  return rolledBack;
+}
+
+/**
+ * Apply fixes, then type-check (tsc for TypeScript, mypy and ruff's syntax check
+ * for Python) and restore the original contents of every fixed file that brought
+ * in new errors. Errors that are new but outside any fixed file (e.g. in a module
+ * importing one) can't be pinned down, so they roll back all remaining fixes.
+ */
+export async function verifyFixes<T>(
+  path: string,
+  languages: Language[],
+  files: string[] | undefined,
+  applyFixes: () => Promise<T>
+): Promise<{ result: T; verification: Verification }> {
+  const checkers = getCheckers(path, languages);
+  const originals = await snapshot(path, files, [
+    ...new Set(checkers.flatMap((c) => c.extensions)),
+  ]);
+  const before = await runCheckers(checkers, path, files);
+
+  const result = await applyFixes();
+  const verification: Verification = { checkers: checkers.map((c) => c.name), rolledBack: [] };
+  const changed = await findChanged(originals);
+  if (changed.length === 0) {
+    return { result, verification };
+  }
+
+  // First undo the fixes to files that now have errors of their own
+  let introduced = findIntroduced(before, await runCheckers(checkers, path, files));
+  const own = await rollBack(changed, originals, (file) =>
+    introduced.filter((d) => d.file === file)
+  );
+  if (own.length > 0) {
+    introduced = findIntroduced(before, await runCheckers(checkers, path, files));
+  }
+
+  const rolledBackFiles = new Set(own.map((r) => r.file));
+  const rest = await rollBack(
+    changed.filter((file) => !rolledBackFiles.has(file)),
+    originals,
+    () => introduced
+  );
+
+  return { result, verification: { ...verification, rolledBack: [...own, ...rest] } };
+}
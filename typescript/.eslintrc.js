@@ -24,8 +24,8 @@ module.exports = {
     'plugin:@typescript-eslint/recommended-requiring-type-checking',
     'plugin:import/recommended',
     'plugin:import/typescript',
-    'plugin:security/recommended',
-    'plugin:sonarjs/recommended',
+    'plugin:security/recommended-legacy',
+    'plugin:sonarjs/recommended-legacy',
     'plugin:unicorn/recommended',
     'plugin:promise/recommended',
     'plugin:n/recommended',
@@ -0,0 +1,146 @@
+/**
+ * Flat vs Legacy Config Parity Check
+ *
+ * Resolves eslint.config.js and .eslintrc.js to the rules they apply to sample
+ * source, React and test files, and reports every rule whose severity or options
+ * differ between the two, so drift is caught before publishing.
+ *
+ * Run with `npm run check:parity` (exits 1 when the configs differ), or call
+ * checkParity() directly. Needs ESLint 8.57+ for loadESLint().
+ *
+ * @module @lint-configs/eslint-config/parity
+ */
+
+const { loadESLint } = require('eslint');
+
+// One file per kind of override block: plain source, React components and tests
+const SAMPLE_FILES = ['src/example.ts', 'src/Example.tsx', 'src/example.test.ts'];
+
+const SEVERITIES = new Map([
+  ['off', 0],
+  ['warn', 1],
+  ['error', 2],
+]);
+const SEVERITY_NAMES = ['off', 'warn', 'error'];
+
+/**
+ * Normalize a rule entry to [severity, ...options] with a numeric severity.
+ * A rule the config doesn't mention is off.
+ */
+function normalize(entry) {
+  const [severity, ...options] = Array.isArray(entry) ? entry : [entry ?? 0];
+  return [typeof severity === 'number' ? severity : (SEVERITIES.get(severity) ?? 0), ...options];
+}
+
+// JSON with object keys sorted, so options compare equal regardless of key order
+function canonical(value) {
+  return JSON.stringify(value, (_key, nested) =>
+    nested && typeof nested === 'object' && !Array.isArray(nested)
+      ? Object.fromEntries(Object.entries(nested).sort(([a], [b]) => a.localeCompare(b)))
+      : nested,
+  );
+}
+
+function compare(flat, legacy) {
+  if (flat[0] !== legacy[0]) {
+    return 'severity';
+  }
+  // Options of a disabled rule don't matter
+  if (flat[0] !== 0 && canonical(flat.slice(1)) !== canonical(legacy.slice(1))) {
+    return 'options';
+  }
+  return undefined;
+}
+
+/**
+ * Compare the rules both configs apply to each sample file.
+ *
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Directory the configs are in (default: this package)
+ * @param {string} [options.flatConfig] - Flat config file (default: eslint.config.js)
+ * @param {string} [options.legacyConfig] - Legacy config file (default: .eslintrc.js)
+ * @param {string[]} [options.files] - Sample files, relative to cwd; they needn't exist
+ * @returns {Promise<{files: string[], differences: Array<{rule: string, file: string,
+ *   kind: 'severity' | 'options', flat: Array, legacy: Array}>}>}
+ */
+async function checkParity(options = {}) {
+  const {
+    cwd = __dirname,
+    flatConfig = 'eslint.config.js',
+    legacyConfig = '.eslintrc.js',
+    files = SAMPLE_FILES,
+  } = options;
+
+  const FlatESLint = await loadESLint({ useFlatConfig: true });
+  const LegacyESLint = await loadESLint({ useFlatConfig: false });
+  const flatEslint = new FlatESLint({ cwd, overrideConfigFile: flatConfig });
+  const legacyEslint = new LegacyESLint({
+    cwd,
+    useEslintrc: false,
+    overrideConfigFile: legacyConfig,
+  });
+
+  const differences = [];
+  for (const file of files) {
+    const flatRules = (await flatEslint.calculateConfigForFile(file))?.rules ?? {};
+    const legacyRules = (await legacyEslint.calculateConfigForFile(file))?.rules ?? {};
+    const rules = new Set([...Object.keys(flatRules), ...Object.keys(legacyRules)]);
+
+    for (const rule of [...rules].sort()) {
+      const flat = normalize(flatRules[rule]);
+      const legacy = normalize(legacyRules[rule]);
+      const kind = compare(flat, legacy);
+      if (kind) {
+        differences.push({ rule, file, kind, flat, legacy });
+      }
+    }
+  }
+
+  return { files, differences };
+}
+
+function describe([severity, ...options]) {
+  const name = SEVERITY_NAMES[severity] ?? String(severity);
+  return options.length > 0 ? `${name} ${JSON.stringify(options)}` : name;
+}
+
+/**
+ * Render a parity result as text, one line per rule and difference, listing the
+ * sample files it applies to.
+ */
+function formatParity({ files, differences }) {
+  if (differences.length === 0) {
+    return `Flat and legacy configs agree on every rule for ${files.join(', ')}\n`;
+  }
+
+  // The same difference usually holds for every sample file; list it once
+  const grouped = new Map();
+  for (const { rule, file, flat, legacy } of differences) {
+    const key = `${rule}\n${canonical(flat)}\n${canonical(legacy)}`;
+    const entry = grouped.get(key) ?? { rule, flat, legacy, files: [] };
+    entry.files.push(file);
+    grouped.set(key, entry);
+  }
+
+  const rules = new Set(differences.map((d) => d.rule));
+  const lines = [`${rules.size} rules differ between the flat and legacy configs:`, ''];
+  for (const { rule, flat, legacy, files: where } of grouped.values()) {
+    const scope = where.length === files.length ? 'all samples' : where.join(', ');
+    lines.push(`${rule} (${scope})`, `  flat:   ${describe(flat)}`, `  legacy: ${describe(legacy)}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { checkParity, formatParity, SAMPLE_FILES };
+
+if (require.main === module) {
+  checkParity()
+    .then((result) => {
+      process.stdout.write(formatParity(result));
+      process.exitCode = result.differences.length > 0 ? 1 : 0;
+    })
+    .catch((error) => {
+      console.error(`Parity check failed: ${error.message}`);
+      process.exitCode = 2;
+    });
+}
@@ -0,0 +1,144 @@
+/**
+ * TypeScript ↔ Python Rule Equivalence
+ *
+ * The ESLint rules in this package paired with the ruff rules in python/ruff.toml
+ * that enforce the same thing, by the category the config comments name (Bandit
+ * 'S', ANN, C90/PLR, ...), plus the numeric thresholds both sides must agree on.
+ *
+ * @module @lint-configs/eslint-config/equivalence
+ */
+
+/**
+ * Rule pairs. An empty side means the other side's rules have no equivalent.
+ *
+ * @type {Array<{category: string, eslint: string[], python: string[], note?: string}>}
+ */
+const RULE_EQUIVALENTS = [
+  // Security (Bandit 'S')
+  {
+    category: 'security',
+    eslint: ['no-eval', 'no-implied-eval', 'no-new-func', 'security/detect-eval-with-expression'],
+    python: ['S102', 'S307'],
+  },
+  { category: 'security', eslint: ['security/detect-pseudoRandomBytes'], python: ['S311'] },
+
+  // Type annotations (ANN/mypy)
+  {
+    category: 'types',
+    eslint: ['@typescript-eslint/explicit-function-return-type'],
+    python: ['ANN201', 'ANN202', 'ANN204', 'ANN205', 'ANN206'],
+  },
+  {
+    category: 'types',
+    eslint: ['@typescript-eslint/explicit-module-boundary-types'],
+    python: ['ANN001', 'ANN201'],
+  },
+  { category: 'types', eslint: ['@typescript-eslint/no-explicit-any'], python: ['ANN401'] },
+
+  // Dead code (F401, F841, ERA, ARG)
+  {
+    category: 'dead-code',
+    eslint: ['@typescript-eslint/no-unused-vars'],
+    python: ['F401', 'F841', 'ARG001', 'ARG002'],
+  },
+  { category: 'dead-code', eslint: ['@typescript-eslint/no-unused-expressions'], python: ['B018'] },
+  { category: 'dead-code', eslint: ['no-useless-return'], python: ['PLR1711'] },
+  {
+    category: 'dead-code',
+    eslint: [],
+    python: ['ERA001'],
+    note: 'No ESLint rule for commented-out code is enabled',
+  },
+
+  // Complexity (C90, PLR); the limits are compared by THRESHOLDS
+  { category: 'complexity', eslint: ['complexity'], python: ['C901'] },
+  { category: 'complexity', eslint: ['max-params'], python: ['PLR0913'] },
+  { category: 'complexity', eslint: ['max-statements'], python: ['PLR0915'] },
+  { category: 'complexity', eslint: ['max-depth'], python: ['PLR1702'] },
+  { category: 'complexity', eslint: [], python: ['PLR0911', 'PLR0912'] },
+  { category: 'complexity', eslint: ['sonarjs/cognitive-complexity'], python: [] },
+
+  // Error handling (TRY, BLE)
+  { category: 'error-handling', eslint: ['unicorn/prefer-type-error'], python: ['TRY004'] },
+
+  // Common bugs and debugging leftovers
+  { category: 'bugs', eslint: ['no-debugger'], python: ['T100'] },
+  { category: 'bugs', eslint: ['no-console'], python: ['T201'] },
+
+  // Naming (N)
+  {
+    category: 'naming',
+    eslint: ['@typescript-eslint/naming-convention', 'camelcase'],
+    python: ['N801', 'N802', 'N803', 'N806', 'N815', 'N816'],
+  },
+
+  // Imports (I, isort)
+  { category: 'imports', eslint: ['import/order'], python: ['I001'] },
+  { category: 'imports', eslint: ['import/no-duplicates'], python: ['F811'] },
+
+  // Modern syntax (UP)
+  { category: 'modern-syntax', eslint: ['prefer-template'], python: ['UP031', 'UP032'] },
+];
+
+/**
+ * Limits enforced on both sides. `typescript` is the ESLint rule whose limit is
+ * compared, or the Prettier option; `python` lists every setting that must match
+ * it, as file (in python/) and dotted TOML key.
+ *
+ * @type {Array<{name: string, typescript: {eslint?: string, prettier?: string},
+ *   python: Array<{file: string, key: string}>}>}
+ */
+const THRESHOLDS = [
+  {
+    name: 'max complexity',
+    typescript: { eslint: 'complexity' },
+    python: [
+      { file: 'ruff.toml', key: 'lint.mccabe.max-complexity' },
+      { file: 'pyproject-linters.toml', key: 'tool.ruff.lint.mccabe.max-complexity' },
+    ],
+  },
+  {
+    name: 'max args',
+    typescript: { eslint: 'max-params' },
+    python: [
+      { file: 'ruff.toml', key: 'lint.pylint.max-args' },
+      { file: 'pyproject-linters.toml', key: 'tool.ruff.lint.pylint.max-args' },
+      { file: 'pyproject-linters.toml', key: 'tool.pylint.design.max-args' },
+    ],
+  },
+  {
+    name: 'max statements',
+    typescript: { eslint: 'max-statements' },
+    python: [
+      { file: 'ruff.toml', key: 'lint.pylint.max-statements' },
+      { file: 'pyproject-linters.toml', key: 'tool.ruff.lint.pylint.max-statements' },
+      { file: 'pyproject-linters.toml', key: 'tool.pylint.design.max-statements' },
+    ],
+  },
+  {
+    name: 'line length',
+    typescript: { prettier: 'printWidth' },
+    python: [
+      { file: 'ruff.toml', key: 'line-length' },
+      { file: 'pyproject-linters.toml', key: 'tool.ruff.line-length' },
+      { file: 'pyproject-linters.toml', key: 'tool.black.line-length' },
+      { file: 'pyproject-linters.toml', key: 'tool.pylint.format.max-line-length' },
+    ],
+  },
+];
+
+/**
+ * The Python rules equivalent to an ESLint rule (empty when there are none).
+ */
+function getPythonEquivalents(eslintRule) {
+  return RULE_EQUIVALENTS.filter((entry) => entry.eslint.includes(eslintRule)).flatMap((entry) => entry.python);
+}
+
+/**
+ * The ESLint rules equivalent to a Python rule code (empty when there are none).
+ */
+function getEslintEquivalents(pythonRule) {
+  return RULE_EQUIVALENTS.filter((entry) => entry.python.includes(pythonRule)).flatMap((entry) => entry.eslint);
+}
+
+module.exports = { RULE_EQUIVALENTS, THRESHOLDS, getPythonEquivalents, getEslintEquivalents };
@@ -0,0 +1,139 @@
+/**
+ * TypeScript ↔ Python Threshold Consistency Check
+ *
+ * Reads the limits in THRESHOLDS from the ESLint and Prettier configs and from
+ * python/ruff.toml and python/pyproject-linters.toml, and reports every pair that
+ * disagrees (e.g. max-params 5 vs ruff's max-args 6) or isn't set at all.
+ *
+ * Run from the repository with `npm run check:thresholds` (exits 1 on a mismatch),
+ * or call checkThresholds() directly.
+ *
+ * @module @lint-configs/eslint-config/thresholds
+ */
+
+const { readFile } = require('fs/promises');
+const path = require('path');
+
+const { loadESLint } = require('eslint');
+
+const { THRESHOLDS } = require('./rule-equivalence.js');
+
+/**
+ * The integer settings in a TOML file, by dotted key (e.g. "lint.mccabe.max-complexity").
+ * Only what the thresholds need is read: table headers and `key = <integer>` lines.
+ */
+function readTomlNumbers(text) {
+  const values = new Map();
+  let table = '';
+
+  for (const raw of text.split('\n')) {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    const header = /^\[\[?\s*([^\]]+?)\s*\]\]?$/.exec(line);
+    if (header) {
+      table = header[1];
+      continue;
+    }
+    const setting = /^([\w.-]+)\s*=\s*(-?\d+)$/.exec(line);
+    if (setting) {
+      values.set(table ? `${table}.${setting[1]}` : setting[1], Number(setting[2]));
+    }
+  }
+
+  return values;
+}
+
+// The limit an ESLint rule entry sets: `['error', 10]` or `['error', { max: 10 }]`
+function getRuleLimit(entry) {
+  const [severity, first] = Array.isArray(entry) ? entry : [entry];
+  if (severity === undefined || severity === 0 || severity === 'off') {
+    return undefined;
+  }
+  if (typeof first === 'number') {
+    return first;
+  }
+  return first?.max ?? first?.maximum;
+}
+
+async function readTypescriptLimits(cwd, sampleFile) {
+  const FlatESLint = await loadESLint({ useFlatConfig: true });
+  const eslint = new FlatESLint({ cwd, overrideConfigFile: 'eslint.config.js' });
+  const { rules = {} } = (await eslint.calculateConfigForFile(sampleFile)) ?? {};
+  const prettier = require(path.join(cwd, '.prettierrc.js'));
+
+  return ({ eslint: rule, prettier: option }) =>
+    rule
+      ? { source: `eslint ${rule}`, value: getRuleLimit(rules[rule]) }
+      : { source: `prettier ${option}`, value: prettier[option] };
+}
+
+/**
+ * Compare each threshold's TypeScript limit with its Python settings.
+ *
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Directory of the ESLint and Prettier configs (default: this package)
+ * @param {string} [options.pythonDir] - Directory of the Python configs (default: ../python)
+ * @param {string} [options.sampleFile] - File the ESLint config is resolved for
+ * @returns {Promise<Array<{name: string, typescript: {source: string, value?: number},
+ *   python: Array<{file: string, key: string, value?: number}>, consistent: boolean}>>}
+ */
+async function checkThresholds(options = {}) {
+  const { cwd = __dirname, pythonDir = path.resolve(__dirname, '../python'), sampleFile = 'src/example.ts' } = options;
+
+  const getTypescriptLimit = await readTypescriptLimits(cwd, sampleFile);
+  const tomlFiles = new Map();
+  for (const file of new Set(THRESHOLDS.flatMap((t) => t.python.map((p) => p.file)))) {
+    tomlFiles.set(file, readTomlNumbers(await readFile(path.join(pythonDir, file), 'utf8')));
+  }
+
+  return THRESHOLDS.map(({ name, typescript, python }) => {
+    const limit = getTypescriptLimit(typescript);
+    const settings = python.map(({ file, key }) => ({
+      file,
+      key,
+      value: tomlFiles.get(file).get(key),
+    }));
+    const consistent = limit.value !== undefined && settings.every((setting) => setting.value === limit.value);
+    return { name, typescript: limit, python: settings, consistent };
+  });
+}
+
+function describe(value) {
+  return value === undefined ? 'not set' : String(value);
+}
+
+/**
+ * Render threshold checks as text, marking the ones that disagree.
+ */
+function formatThresholds(checks) {
+  const lines = [];
+  for (const { name, typescript, python, consistent } of checks) {
+    lines.push(
+      `${consistent ? 'ok' : 'MISMATCH'}  ${name}`,
+      `  ${typescript.source}: ${describe(typescript.value)}`,
+      ...python.map(({ file, key, value }) => `  ${file} ${key}: ${describe(value)}`),
+    );
+  }
+
+  const mismatches = checks.filter((check) => !check.consistent).length;
+  lines.push(
+    '',
+    mismatches === 0
+      ? 'All thresholds agree between the TypeScript and Python configs.'
+      : `${mismatches} of ${checks.length} thresholds disagree.`,
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { checkThresholds, formatThresholds };
+
+if (require.main === module) {
+  checkThresholds()
+    .then((checks) => {
+      process.stdout.write(formatThresholds(checks));
+      process.exitCode = checks.every((check) => check.consistent) ? 0 : 1;
+    })
+    .catch((error) => {
+      console.error(`Threshold check failed: ${error.message}`);
+      process.exitCode = 2;
+    });
+}